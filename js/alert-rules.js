@@ -0,0 +1,442 @@
+/**
+ * AlertRules - user-defined threshold rules checked against every incident.
+ *
+ * Rules
+ * -----
+ *   { id, axis, zone, field, op, threshold }
+ *     zone   a zone id, or "any" to check every zone
+ *     field  "raw" (the raw value) or "score" (the 0–100 axis score)
+ *     op     "gt" | "gte" | "lt" | "lte" | "eq" | "ne"
+ * e.g. FEMA Structures raw > 50 in the 1 mile buffer, or Road Closures raw > 0
+ * in any zone. Rules are kept in localStorage.
+ *
+ * Matching
+ * --------
+ *   - A null value (not assessed) never matches.
+ *   - For composite axes a raw rule matches when any sub-value does; the match
+ *     reports that sub-value and its metric.
+ *
+ * scan() loads the rules' zones for every incident in incident_map.json and
+ * returns the matches. Zone payloads are kept for later scans (e.g. after a
+ * rule is added) and fetched again only on refresh or when a file failed.
+ * Matches the panel shows are remembered between visits; ones not seen before
+ * are flagged isNew, and after a refresh each new match raises a browser
+ * notification when the reader has allowed them.
+ *
+ * mountPanel() renders the alerts list and rule editor.
+ */
+const AlertRules = (() => {
+
+    const RULES_KEY = 'alert-rules';
+    const KNOWN_KEY = 'alert-known-matches';
+    const ANY_ZONE  = 'any';
+
+    const OPERATORS = {
+        gt:  { symbol: '>', test: (v, t) => v > t },
+        gte: { symbol: '≥', test: (v, t) => v >= t },
+        lt:  { symbol: '<', test: (v, t) => v < t },
+        lte: { symbol: '≤', test: (v, t) => v <= t },
+        eq:  { symbol: '=', test: (v, t) => v === t },
+        ne:  { symbol: '≠', test: (v, t) => v !== t },
+    };
+
+    const FIELDS = {
+        raw:   'Raw value',
+        score: 'Score',
+    };
+
+    const listeners = new Set();
+    const zoneLoads = new Map();   // zone → Promise of loadZoneForIncidents results, kept until a refresh
+
+    // ── Storage ────────────────────────────────────────────────────
+
+    function readJson(key, fallback) {
+        try {
+            return JSON.parse(localStorage.getItem(key)) ?? fallback;
+        } catch {
+            return fallback;
+        }
+    }
+
+    // Stored rules may be malformed or from an older format; those are dropped.
+    function isValidRule(rule) {
+        return typeof rule === 'object' && rule !== null
+            && typeof rule.id === 'string'
+            && typeof rule.axis === 'string' && rule.axis !== ''
+            && (rule.zone === ANY_ZONE || ZoneManifest.has(rule.zone))
+            && Object.hasOwn(FIELDS, rule.field)
+            && Object.hasOwn(OPERATORS, rule.op)
+            && typeof rule.threshold === 'number' && Number.isFinite(rule.threshold);
+    }
+
+    function listRules() {
+        const rules = readJson(RULES_KEY, []);
+        return Array.isArray(rules) ? rules.filter(isValidRule) : [];
+    }
+
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    function writeRules(rules) {
+        try {
+            localStorage.setItem(RULES_KEY, JSON.stringify(rules));
+        } catch {
+            throw new Error('Rules could not be saved: browser storage is full or unavailable');
+        }
+        notify();
+    }
+
+    function addRule({ axis, zone, field, op, threshold }) {
+        const value = Number(threshold);
+        if (!axis) throw new Error('Choose an axis');
+        if (!Object.hasOwn(OPERATORS, op) || !Object.hasOwn(FIELDS, field)) throw new Error('Unknown comparison');
+        if (threshold === '' || !Number.isFinite(value)) throw new Error('The threshold must be a number');
+
+        const id   = `r${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        const rule = { id, axis, zone: zone || ANY_ZONE, field, op, threshold: value };
+        if (!isValidRule(rule)) throw new Error('Unknown zone');
+        writeRules([...listRules(), rule]);
+        return rule;
+    }
+
+    function removeRule(id) {
+        writeRules(listRules().filter(rule => rule.id !== id));
+    }
+
+    // Calls listener() whenever the rules change, including in another tab.
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    window.addEventListener('storage', e => {
+        if (e.key === RULES_KEY) notify();
+    });
+
+    // ── Evaluation ─────────────────────────────────────────────────
+
+    function zoneLabel(zone) {
+        return zone === ANY_ZONE ? 'any zone' : ZoneManifest.label(zone);
+    }
+
+    // "FEMA Structures raw value > 50 · 1 Mile Buffer"
+    function describeRule(rule) {
+        return `${rule.axis} ${FIELDS[rule.field].toLowerCase()} ${OPERATORS[rule.op].symbol} `
+            + `${rule.threshold.toLocaleString()} · ${zoneLabel(rule.zone)}`;
+    }
+
+    /**
+     * Check one rule against one payload.
+     *
+     * @returns {{ value: number, metric: string }|null} the matching value, or null
+     */
+    function evaluate(rule, chartData) {
+        const test = value => Number.isFinite(value) && OPERATORS[rule.op].test(value, rule.threshold);
+
+        if (rule.field === 'score') {
+            const score = chartData.data?.[rule.axis];
+            return test(score) ? { value: score, metric: 'score' } : null;
+        }
+
+        const rawEntry = chartData.raw?.[rule.axis];
+        const parts    = Array.isArray(rawEntry) ? rawEntry : [rawEntry];
+        const part     = parts.find(p => test(p?.value));
+        return part ? { value: part.value, metric: part.metric || '' } : null;
+    }
+
+    function matchKey(match) {
+        return `${match.rule.id}|${match.region}/${match.uid}/${match.zone}`;
+    }
+
+    // The zone's results from an earlier scan, or a new load. A load with
+    // failed files (or that failed outright) is not kept, so the next scan retries it.
+    function loadZone(incidents, zone, { refresh, onProgress }) {
+        if (!refresh && zoneLoads.has(zone)) return zoneLoads.get(zone);
+
+        const load = ChartData.loadZoneForIncidents(incidents, zone, { refresh, onProgress });
+        zoneLoads.set(zone, load);
+        const forget = () => {
+            if (zoneLoads.get(zone) === load) zoneLoads.delete(zone);
+        };
+        load.then(results => {
+            if (results.some(result => result.error)) forget();
+        }, forget);
+        return load;
+    }
+
+    // Stores the matches on screen, so the next scan only flags what was added since.
+    function rememberMatches(matches) {
+        try {
+            localStorage.setItem(KNOWN_KEY, JSON.stringify(matches.map(matchKey)));
+        } catch {
+            // Every match then shows as new on the next visit.
+        }
+    }
+
+    /**
+     * Evaluate every rule against every incident.
+     *
+     * @param {Object} incidentMap
+     * @param {{ refresh?: boolean, onProgress?: (done: number, total: number) => void }} [options]
+     *        refresh re-fetches every zone (after a new publish) instead of reusing earlier results
+     * @returns {Promise<{ matches: Object[], failed: number }>} matches are
+     *          { rule, region, uid, name, zone, value, metric, isNew }, newest rules first;
+     *          isNew is against the remembered matches, which scan() does not update
+     */
+    async function scan(incidentMap, { refresh = false, onProgress } = {}) {
+        if (refresh) zoneLoads.clear();
+
+        const rules = listRules();
+        const zones = rules.some(rule => rule.zone === ANY_ZONE)
+            ? ZoneManifest.ids()
+            : [...new Set(rules.map(rule => rule.zone))];
+        const incidents = ChartData.listIncidents(incidentMap);
+        const total     = zones.length * incidents.length;
+
+        const matches = [];
+        let failed    = 0;
+        for (const [z, zone] of zones.entries()) {
+            const results = await loadZone(incidents, zone, {
+                refresh,
+                onProgress: done => onProgress?.(z * incidents.length + done, total),
+            });
+            onProgress?.((z + 1) * incidents.length, total);
+            for (const { incident, chartData, error } of results) {
+                // Zones not produced for an incident have nothing to check.
+                if (!chartData) {
+                    if (error) failed++;
+                    continue;
+                }
+                for (const rule of rules) {
+                    if (rule.zone !== ANY_ZONE && rule.zone !== zone) continue;
+                    const hit = evaluate(rule, chartData);
+                    if (hit) matches.push({ rule, ...incident, zone, ...hit });
+                }
+            }
+        }
+
+        // A match is new when it was not among the matches last shown.
+        const known = new Set(readJson(KNOWN_KEY, []));
+        matches.forEach(match => { match.isNew = !known.has(matchKey(match)); });
+
+        const order = new Map(rules.map((rule, i) => [rule.id, i]));
+        matches.sort((a, b) => order.get(b.rule.id) - order.get(a.rule.id) || parseInt(b.name, 10) - parseInt(a.name, 10));
+        return { matches, failed };
+    }
+
+    function chartHref(match) {
+        return `chart.html#${match.region}/${match.uid}/${match.zone}`;
+    }
+
+    function describeMatch(match) {
+        const value = match.metric === 'score'
+            ? `score ${match.value.toFixed(1)}`
+            : ChartRenderer.describeRaw({ value: match.value, metric: match.metric });
+        return `${match.rule.axis}: ${value} · ${ZoneManifest.label(match.zone)}`;
+    }
+
+    // One notification per new match; clicking it opens the chart.
+    function sendNotifications(matches) {
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        matches.forEach(match => {
+            const notification = new Notification(`Alert: ${match.name}`, {
+                body: describeMatch(match),
+                tag:  matchKey(match),
+            });
+            notification.addEventListener('click', () => {
+                window.focus();
+                window.open(chartHref(match), '_blank');
+            });
+        });
+    }
+
+    // ── Alerts panel ───────────────────────────────────────────────
+
+    /**
+     * Render the alerts list and rule editor into a container and run the
+     * first scan. The axis choices come from the first incident's payload.
+     *
+     * @param {HTMLElement} container
+     * @param {Object}      options
+     * @param {Object}      options.incidentMap
+     * @param {(source: { region, uid, zone }) => void} [options.onAddChart] - "＋" on a match
+     * @returns {{ rescan: (options?: { refresh?: boolean, notify?: boolean }) => Promise<void> }}
+     *          rescan() never rejects; a failed scan is reported in the panel
+     */
+    function mountPanel(container, { incidentMap, onAddChart }) {
+        container.innerHTML = `
+            <details>
+                <summary>Alerts: <span class="alerts-count"></span></summary>
+                <div class="alerts-body">
+                    <ul class="alerts-list"></ul>
+                    <ul class="alerts-rules"></ul>
+                    <form class="alerts-form">
+                        <select name="axis" aria-label="Axis" required>
+                            <option value="">Axis…</option>
+                        </select>
+                        <select name="zone" aria-label="Zone">
+                            <option value="${ANY_ZONE}">Any zone</option>
+                            ${ZoneManifest.list().map(({ id, label }) =>
+                                `<option value="${SafeHtml.escape(id)}">${SafeHtml.escape(label)}</option>`).join('')}
+                        </select>
+                        <select name="field" aria-label="Compare">
+                            ${Object.entries(FIELDS).map(([field, label]) => `<option value="${field}">${label}</option>`).join('')}
+                        </select>
+                        <select name="op" aria-label="Comparison">
+                            ${Object.entries(OPERATORS).map(([op, { symbol }]) => `<option value="${op}">${symbol}</option>`).join('')}
+                        </select>
+                        <input type="number" name="threshold" step="any" placeholder="Threshold" aria-label="Threshold" required>
+                        <button type="submit" class="btn-secondary">Add rule</button>
+                        <button type="button" class="btn-secondary alerts-permission" hidden>Enable notifications</button>
+                        <span class="alerts-status" role="status"></span>
+                    </form>
+                </div>
+            </details>
+        `;
+
+        const details    = container.querySelector('details');
+        const countEl    = container.querySelector('.alerts-count');
+        const listEl     = container.querySelector('.alerts-list');
+        const rulesEl    = container.querySelector('.alerts-rules');
+        const form       = container.querySelector('.alerts-form');
+        const statusEl   = container.querySelector('.alerts-status');
+        const permission = container.querySelector('.alerts-permission');
+
+        let scanToken = 0;
+        let matches   = [];
+
+        function renderRules() {
+            const rules = listRules();
+            rulesEl.innerHTML = rules.map(rule => `
+                <li>
+                    <span>${SafeHtml.escape(describeRule(rule))}</span>
+                    <button type="button" class="action-btn alerts-remove" data-rule="${SafeHtml.escape(rule.id)}"
+                        title="Delete rule" aria-label="Delete rule: ${SafeHtml.escape(describeRule(rule))}">✕</button>
+                </li>
+            `).join('');
+        }
+
+        function renderMatches() {
+            const fresh = matches.filter(match => match.isNew).length;
+            countEl.textContent = listRules().length === 0
+                ? 'no rules'
+                : `${matches.length} ${matches.length === 1 ? 'match' : 'matches'}${fresh ? ` (${fresh} new)` : ''}`;
+            container.classList.toggle('is-alerting', matches.length > 0);
+            listEl.innerHTML = matches.map(match => `
+                <li class="${match.isNew ? 'is-new' : ''}">
+                    <a href="${SafeHtml.escape(chartHref(match))}" target="_blank"><strong>${SafeHtml.escape(match.name)}</strong></a>
+                    <span>${SafeHtml.escape(describeMatch(match))}</span>
+                    ${match.isNew ? '<span class="alerts-new">New</span>' : ''}
+                    ${onAddChart ? `<button type="button" class="action-btn alerts-add" title="Add chart"
+                        data-source="${SafeHtml.escape(`${match.region}/${match.uid}/${match.zone}`)}">＋</button>` : ''}
+                </li>
+            `).join('');
+        }
+
+        function renderPermission() {
+            permission.hidden = !('Notification' in window) || Notification.permission !== 'default';
+        }
+
+        async function rescan({ refresh = false, notify: shouldNotify = false } = {}) {
+            const token = ++scanToken;
+            if (listRules().length === 0) {
+                matches = [];
+                renderMatches();
+                return;
+            }
+            statusEl.textContent = 'Checking…';
+            let result;
+            try {
+                result = await scan(incidentMap, {
+                    refresh,
+                    onProgress: (done, total) => {
+                        if (token === scanToken) statusEl.textContent = `Checking ${done} / ${total}…`;
+                    },
+                });
+            } catch (err) {
+                if (token === scanToken) statusEl.textContent = `Alert check failed: ${err.message}`;
+                return;
+            }
+            if (token !== scanToken) return;
+
+            rememberMatches(result.matches);
+            matches = result.matches;
+            renderMatches();
+            statusEl.textContent = result.failed ? `${result.failed} charts could not be checked` : '';
+            if (shouldNotify) sendNotifications(matches.filter(match => match.isNew));
+        }
+
+        // Axis names come from one payload; the pipeline emits the same axes for every chart.
+        async function loadAxes() {
+            const [first] = ChartData.listIncidents(incidentMap);
+            if (!first) return;
+            try {
+                const chartData = await ChartData.loadChart(first.region, first.uid, ZoneManifest.forIncident(first.uid)[0]);
+                const select    = form.elements.axis;
+                Object.keys(chartData.data).forEach(axis => select.add(new Option(axis, axis)));
+            } catch (err) {
+                statusEl.textContent = `Could not load axis names: ${err.message}`;
+            }
+        }
+
+        form.addEventListener('submit', e => {
+            e.preventDefault();
+            try {
+                addRule(Object.fromEntries(new FormData(form)));
+                form.elements.threshold.value = '';
+            } catch (err) {
+                statusEl.textContent = err.message;
+            }
+        });
+
+        container.addEventListener('click', e => {
+            const remove = e.target.closest('.alerts-remove');
+            if (remove) {
+                try {
+                    removeRule(remove.dataset.rule);
+                } catch (err) {
+                    statusEl.textContent = err.message;
+                }
+            }
+
+            const add = e.target.closest('.alerts-add');
+            if (add) {
+                const [region, uid, zone] = add.dataset.source.split('/');
+                onAddChart({ region, uid, zone });
+            }
+        });
+
+        permission.addEventListener('click', async () => {
+            await Notification.requestPermission();
+            renderPermission();
+        });
+
+        subscribe(() => {
+            renderRules();
+            rescan();
+        });
+
+        renderRules();
+        renderPermission();
+        loadAxes();
+        rescan().then(() => {
+            if (matches.some(match => match.isNew)) details.open = true;
+        });
+
+        return { rescan };
+    }
+
+    return {
+        OPERATORS,
+        FIELDS,
+        listRules,
+        addRule,
+        removeRule,
+        subscribe,
+        describeRule,
+        evaluate,
+        scan,
+        mountPanel,
+    };
+})();
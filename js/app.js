@@ -2,31 +2,54 @@
 
     // ── DOM references ─────────────────────────────────────────────
     const regionSelect   = document.getElementById('region-select');
-    const incidentSelect = document.getElementById('incident-select');
+    const incidentInput  = document.getElementById('incident-input');
+    const incidentList   = document.getElementById('incident-listbox');
     const zoneSelect     = document.getElementById('zone-select');
     const addBtn         = document.getElementById('add-chart-btn');
+    const overlayBtn     = document.getElementById('overlay-btn');
+    const saveOfflineBtn = document.getElementById('save-offline-btn');
+    const scaleSelect    = document.getElementById('scale-select');
+    const baselineSelect = document.getElementById('baseline-select');
     const overviewLinkEl = document.getElementById('incident-overview-link');
     const chartsGrid     = document.getElementById('charts-grid');
     const emptyState     = document.getElementById('empty-state');
     const lastUpdatedEl  = document.getElementById('last-updated');
+    const changesPanel   = document.getElementById('changes-panel');
+    const weightsPanel   = document.getElementById('weights-panel');
+    const alertsPanel    = document.getElementById('alerts-panel');
+    const freshnessPanel = document.getElementById('freshness-panel');
+    const workspaceSelect = document.getElementById('workspace-select');
+    const workspaceMenu   = document.getElementById('workspace-menu');
+    const workspaceImport = document.getElementById('workspace-import');
 
-    // ── Populate zone options from ChartRenderer ───────────────────
-    Object.entries(ChartRenderer.ZONE_LABELS).forEach(([value, label]) => {
-        zoneSelect.add(new Option(label, value));
+    // ── Populate zone options from the zone manifest ───────────────
+    await ZoneManifest.load();
+    ZoneManifest.list().forEach(({ id, label }) => {
+        zoneSelect.add(new Option(label, id));
+    });
+
+    Object.entries(ChartScaling.SCALES).forEach(([value, label]) => {
+        scaleSelect.add(new Option(label, value));
+    });
+    Object.entries(ChartScaling.BASELINES).forEach(([value, label]) => {
+        baselineSelect.add(new Option(label, value));
     });
 
     // ── State ──────────────────────────────────────────────────────
     let incidentMap    = {};   // { region: { name: uid } }
     let incidentLookup = {};   // { name: { region, uid } } — flat O(1) lookup
-    const activeCharts = new Map();   // chartId → Chart instance
+    const activeCharts = new Map();   // cardId → Chart instance
+    const payloadCache = new Map();   // sourceId → chart JSON payload
+    const previousPayloads = new Map();   // sourceId → payload from before the last data change
+    const scaledPayloads   = new Map();   // cardId → payloads as last drawn (rescaled when scaling is on)
+    const zonePeers    = new Map();   // zone → Promise of [{ incident, chartData }] for every incident
+    let draggingId     = null;        // card being dragged; dataTransfer cannot be read during dragover
 
     // ── Bootstrap ──────────────────────────────────────────────────
     try {
-        const response = await fetch('data/incident_map.json');
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        incidentMap = await response.json();
+        incidentMap = await ChartData.loadIncidentMap();
     } catch (err) {
-        chartsGrid.innerHTML = `<div class="state-error">Failed to load incident map: ${err.message}</div>`;
+        chartsGrid.innerHTML = `<div class="state-error">Failed to load incident map: ${SafeHtml.escape(err.message)}</div>`;
         return;
     }
 
@@ -51,38 +74,37 @@
         Object.values(incidentMap).flatMap(Object.keys)
     );
 
+    // Searchable combobox; see IncidentPicker for matching and keyboard handling.
+    const incidentPicker = IncidentPicker.create(incidentInput, incidentList, {
+        onChange: () => handleIncidentChange(),
+    });
+
+    // The picker keeps the current selection only while it is still in the list.
     function populateIncidentSelect(names) {
-        const currentValue = incidentSelect.value;
-        incidentSelect.innerHTML = '<option value="">— Select incident —</option>';
-        sortIncidentsDescending(names).forEach(name => {
-            const opt = document.createElement('option');
-            opt.value       = name;
-            opt.textContent = name;
-            incidentSelect.appendChild(opt);
-        });
-        // Preserve the current selection if it is still in the new list.
-        if (names.includes(currentValue)) {
-            incidentSelect.value = currentValue;
-        }
+        incidentPicker.setOptions(sortIncidentsDescending(names).map(name => ({
+            name,
+            region: incidentLookup[name].region,
+        })));
     }
     populateIncidentSelect(allIncidentNames);
 
     // Fetch and display last-updated datetime (optional — fails silently).
-    fetch('data/last_updated.json')
-        .then(r => r.ok ? r.json() : null)
-        .then(payload => {
-            const datetime = ChartRenderer.extractDatetime(payload);
-            if (datetime && lastUpdatedEl) {
-                lastUpdatedEl.textContent = `Last Updated: ${datetime}`;
-            }
+    // The stamp is also kept to label stored snapshots (see SnapshotStore).
+    let dataStamp = ChartData.loadLastUpdated()
+        .then(datetime => {
+            DataFreshness.showStamp(lastUpdatedEl, datetime);
+            return datetime;
         })
-        .catch(() => {});
+        .catch(() => null);
+
+    const lastVisit = SnapshotStore.beginVisit();
+    SnapshotStore.prune(incidentMap);
 
     // ── Helpers ────────────────────────────────────────────────────
 
     // Returns resolved incident info for the current selection, or null.
     function resolveIncident() {
-        const name  = incidentSelect.value;
+        const name  = incidentPicker.value;
         if (!name) return null;
         const entry = incidentLookup[name];
         if (!entry) return null;
@@ -92,7 +114,7 @@
     function refreshOverviewLink() {
         const incident = resolveIncident();
         overviewLinkEl.innerHTML = incident
-            ? `<a href="incident.html#${incident.region}/${incident.uid}" target="_blank">View all zones →</a>`
+            ? `<a href="incident.html#${SafeHtml.escape(`${incident.region}/${incident.uid}`)}" target="_blank">View all zones →</a>`
             : '';
     }
 
@@ -103,24 +125,54 @@
     // ── Event listeners ────────────────────────────────────────────
 
     // Region acts as an optional filter — selecting one narrows the incident dropdown.
-    regionSelect.addEventListener('change', () => {
+    function applyRegionFilter() {
         const region = regionSelect.value;
         const names  = region
             ? Object.keys(incidentMap[region])
             : allIncidentNames;
         populateIncidentSelect(names);
         handleIncidentChange();
+        saveOfflineBtn.disabled = !region || !DataSource.isPublished();
+    }
+
+    regionSelect.addEventListener('change', () => {
+        applyRegionFilter();
+        writeHashState();
+        if (baselineSelect.value === 'region') rerenderAllCards();
+    });
+
+    function refreshBaselineSelect() {
+        baselineSelect.disabled = scaleSelect.value === 'published';
+    }
+
+    scaleSelect.addEventListener('change', () => {
+        refreshBaselineSelect();
+        writeHashState();
+        rerenderAllCards();
+    });
+
+    baselineSelect.addEventListener('change', () => {
+        writeHashState();
+        rerenderAllCards();
     });
 
     function handleIncidentChange() {
         const incident = resolveIncident();
         zoneSelect.disabled = !incident;
         if (!incident) zoneSelect.value = '';
+
+        // Zones the pipeline did not produce for this incident stay listed but cannot be picked.
+        [...zoneSelect.options].filter(option => option.value).forEach(option => {
+            const produced = !incident || ZoneManifest.isProduced(incident.uid, option.value);
+            const label    = ZoneManifest.label(option.value);
+            option.disabled    = !produced;
+            option.textContent = produced ? label : `${label} (not produced)`;
+        });
+        if (zoneSelect.selectedOptions[0]?.disabled) zoneSelect.value = '';
         refreshOverviewLink();
         refreshAddButton();
     }
 
-    incidentSelect.addEventListener('change', handleIncidentChange);
     zoneSelect.addEventListener('change', refreshAddButton);
 
     addBtn.addEventListener('click', async () => {
@@ -128,8 +180,8 @@
         const zone     = zoneSelect.value;
         if (!incident || !zone) return;
 
-        const chartId = `${incident.region}--${incident.uid}--${zone}`;
-        if (document.getElementById(chartId)) {
+        const source = { region: incident.region, uid: incident.uid, zone };
+        if (document.getElementById(buildCardId([source]))) {
             zoneSelect.value = '';
             addBtn.disabled  = true;
             return;
@@ -138,64 +190,936 @@
         addBtn.disabled    = true;
         addBtn.textContent = 'Loading…';
 
+        if (await addCard([source])) {
+            IncidentPicker.remember(incident.name);
+            writeHashState({ push: true });
+        }
+
+        addBtn.textContent = 'Add Chart';
+        zoneSelect.value   = '';
+        addBtn.disabled    = true;
+    });
+
+    // Requests every payload in the region so the service worker caches it for offline use.
+    // Only published data is cached, so this is unavailable while previewing another source.
+    saveOfflineBtn.addEventListener('click', async () => {
+        const region = regionSelect.value;
+        if (!region) return;
+
+        saveOfflineBtn.disabled = true;
+        try {
+            const failed = await OfflineSupport.saveRegion(incidentMap, region, {
+                onProgress: (done, total) => {
+                    saveOfflineBtn.textContent = `Saving ${done} / ${total}…`;
+                },
+            });
+            saveOfflineBtn.textContent = failed ? `Saved (${failed} failed)` : 'Saved for offline';
+        } catch (err) {
+            saveOfflineBtn.textContent = 'Save failed';
+            alert(err.message);
+        }
+        setTimeout(() => {
+            saveOfflineBtn.textContent = 'Save region offline';
+            saveOfflineBtn.disabled    = !regionSelect.value || !DataSource.isPublished();
+        }, 3000);
+    });
+
+    overlayBtn.addEventListener('click', () => {
+        const checked = [...chartsGrid.querySelectorAll('.overlay-check:checked')]
+            .map(box => box.closest('.chart-card').id);
+        if (checked.length < 2) return;
+        mergeCards(checked[0], checked.slice(1));
+    });
+
+    // ── Chart lifecycle ────────────────────────────────────────────
+    //
+    // A card shows one or more sources ({ region, uid, zone }). Single-source
+    // cards are regular radars; multi-source cards are overlays. The card id
+    // encodes its sources so the grid can be serialized without extra state.
+
+    function buildSourceId({ region, uid, zone }) {
+        return `${region}--${uid}--${zone}`;
+    }
+
+    function buildCardId(sources) {
+        return sources.map(buildSourceId).join('__');
+    }
+
+    function parseCardId(cardId) {
+        return cardId.split('__').map(part => {
+            const [region, uid, zone] = part.split('--');
+            return { region, uid, zone };
+        });
+    }
+
+    // refresh bypasses payloadCache (and the HTTP cache) to pick up a new publish.
+    async function fetchChartData(source, { refresh = false } = {}) {
+        const sourceId = buildSourceId(source);
+        if (!refresh && payloadCache.has(sourceId)) return payloadCache.get(sourceId);
+        const chartData = await ChartData.loadChart(source.region, source.uid, source.zone, { refresh });
+
+        const snapshot = SnapshotStore.record(source.region, source.uid, source.zone, chartData, {
+            stamp: await dataStamp,
+        });
+        if (snapshot.previous) previousPayloads.set(sourceId, snapshot.previous.chartData);
+
+        payloadCache.set(sourceId, chartData);
+        mountWeightsPanel(chartData);
+        return chartData;
+    }
+
+    // The axis list comes from the payloads, so the panel appears with the first chart loaded.
+    function mountWeightsPanel(chartData) {
+        if (!weightsPanel.hidden) return;
+        PriorityScore.mountPanel(weightsPanel, Object.keys(chartData.data));
+        weightsPanel.hidden = false;
+    }
+
+    // New weights only change the priority badges, so the charts are left alone.
+    PriorityScore.subscribe(() => {
+        scaledPayloads.forEach((scaled, cardId) => renderCardPriority(cardId, scaled));
+    });
+
+    // New staleness thresholds only change the card headings' badges.
+    DataFreshness.mountPanel(freshnessPanel);
+    DataFreshness.subscribe(() => {
+        activeCharts.forEach((_, cardId) => {
+            const card = document.getElementById(cardId);
+            if (card) refreshCardHeading(card, parseCardId(cardId).map(s => payloadCache.get(buildSourceId(s))));
+        });
+    });
+    ChartRenderer.mountThemeToggle(document.querySelector('.back-nav'), () => rerenderAllCards());
+
+    // Fetches all source payloads and inserts the card into the grid (before
+    // `before` when given, otherwise at the end) with the given layout flags.
+    // Resolves true on success; failures show a transient error card and resolve false.
+    async function addCard(sources, { before = null, layout = {} } = {}) {
+        const cardId = buildCardId(sources);
         try {
-            const response = await fetch(`data/${incident.region}/${incident.uid}/${zone}.json`);
-            if (!response.ok) throw new Error(`HTTP ${response.status}`);
-            const chartData = await response.json();
+            const payloads = await Promise.all(sources.map(fetchChartData));
+
+            // A concurrent restore may have mounted the same card while the fetch was in flight.
+            if (document.getElementById(cardId)) return true;
+
+            // Taken before the card joins the dashboard, to tell which other cards it rescales.
+            const baselines = isDashboardBaseline() ? dashboardBaselines() : null;
 
             emptyState?.remove();
-            const card   = buildCard(chartId, chartData, incident, zone);
-            chartsGrid.appendChild(card);
-            activeCharts.set(chartId, ChartRenderer.render(card.querySelector('canvas'), chartData));
+            const card = sources.length === 1
+                ? buildCard(cardId, payloads[0], sources[0], sources[0].zone)
+                : buildOverlayCard(cardId, payloads, sources);
+            chartsGrid.insertBefore(card, before?.parentNode === chartsGrid ? before : null);
+            applyCardLayout(card, layout);
+            if (layout.pinned) keepPinnedFirst();
+
+            activeCharts.set(cardId, null);
+            await renderCardChart(cardId);
+            if (baselines) await rerenderChangedBaselines(baselines, cardId);
+            return true;
 
         } catch (err) {
             console.error('Failed to load chart data:', err);
             const errCard = document.createElement('article');
             errCard.className = 'chart-card';
-            errCard.innerHTML = `<div class="state-error" style="padding:2rem">Failed to load chart: ${err.message}</div>`;
+            errCard.innerHTML = `<div class="state-error chart-card-error">Failed to load chart: ${SafeHtml.escape(err.message)}</div>`;
             chartsGrid.appendChild(errCard);
             setTimeout(() => errCard.remove(), 4000);
+            return false;
         }
+    }
 
-        addBtn.textContent = 'Add Chart';
-        zoneSelect.value   = '';
-        addBtn.disabled    = true;
+    function removeChart(cardId) {
+        activeCharts.get(cardId)?.destroy();
+        activeCharts.delete(cardId);
+        scaledPayloads.delete(cardId);
+        document.getElementById(cardId)?.remove();
+        if (activeCharts.size === 0 && emptyState) chartsGrid.prepend(emptyState);
+        refreshOverlayButton();
+        if (isDashboardBaseline()) rerenderAllCards();
+    }
+
+    // ── Scaling ────────────────────────────────────────────────────
+    //
+    // Scores can be recomputed from raw values against a chosen peer group
+    // (see ChartScaling). Cards keep their published payloads in payloadCache;
+    // rescaled copies only exist while rendering.
+
+    function isDashboardBaseline() {
+        return scaleSelect.value !== 'published' && baselineSelect.value === 'dashboard';
+    }
+
+    // Every incident's payload for one zone; fetched once per zone and shared.
+    function loadZonePeers(zone) {
+        if (!zonePeers.has(zone)) {
+            zonePeers.set(zone, ChartData.loadZoneForIncidents(ChartData.listIncidents(incidentMap), zone)
+                .then(results => results.filter(result => result.chartData)));
+        }
+        return zonePeers.get(zone);
+    }
+
+    // Resolves { scaling, baseline } for a source, or null for published scores.
+    // The region baseline uses the region filter, or the chart's own region when no filter is set.
+    async function resolveScaling(source) {
+        const scale = scaleSelect.value;
+        if (scale === 'published') return null;
+
+        let payloads;
+        let label;
+        if (baselineSelect.value === 'dashboard') {
+            payloads = [...activeCharts.keys()]
+                .flatMap(parseCardId)
+                .filter(s => s.zone === source.zone)
+                .map(s => payloadCache.get(buildSourceId(s)))
+                .filter(Boolean);
+            label = 'dashboard';
+        } else {
+            const peers  = await loadZonePeers(source.zone);
+            const region = baselineSelect.value === 'region' ? (regionSelect.value || source.region) : '';
+            payloads = peers
+                .filter(peer => !region || peer.incident.region === region)
+                .map(peer => peer.chartData);
+            label = region ? `${region} region` : 'statewide';
+        }
+
+        return {
+            scaling:  { scale, baseline: baselineSelect.value, label },
+            baseline: ChartScaling.buildBaseline([...payloads, payloadCache.get(buildSourceId(source))]),
+        };
+    }
+
+    // Serialized dashboard baseline per zone, so a change can be detected.
+    function dashboardBaselines() {
+        const byZone = new Map();   // zone → payloads on the dashboard
+        [...activeCharts.keys()].flatMap(parseCardId).forEach(source => {
+            const chartData = payloadCache.get(buildSourceId(source));
+            if (chartData) byZone.set(source.zone, [...(byZone.get(source.zone) || []), chartData]);
+        });
+        return new Map([...byZone].map(([zone, payloads]) =>
+            [zone, JSON.stringify(ChartScaling.buildBaseline(payloads))]));
+    }
+
+    // Redraws the cards (other than skipId) in zones whose dashboard baseline differs from `before`.
+    function rerenderChangedBaselines(before, skipId = null) {
+        const after   = dashboardBaselines();
+        const changed = new Set([...before.keys(), ...after.keys()].filter(zone => before.get(zone) !== after.get(zone)));
+        return Promise.all([...activeCharts.keys()]
+            .filter(cardId => cardId !== skipId && parseCardId(cardId).some(source => changed.has(source.zone)))
+            .map(cardId => renderCardChart(cardId)));
+    }
+
+    async function scaledPayload(source, chartData) {
+        const resolved = await resolveScaling(source);
+        return resolved ? ChartScaling.rescale(chartData, resolved.baseline, resolved.scaling) : chartData;
+    }
+
+    // (Re)draws a mounted card's chart and footer note from the cached payloads.
+    // With inPlace the existing Chart.js instance is updated instead of rebuilt
+    // (used by live refresh, so changed axes can be highlighted).
+    async function renderCardChart(cardId, { inPlace = false } = {}) {
+        const card    = document.getElementById(cardId);
+        const sources = parseCardId(cardId);
+        const payloads = sources.map(source => payloadCache.get(buildSourceId(source)));
+        const scaled   = await Promise.all(sources.map((source, i) => scaledPayload(source, payloads[i])));
+        const previous = sources.length === 1 && previousPayloads.has(buildSourceId(sources[0]))
+            ? await scaledPayload(sources[0], previousPayloads.get(buildSourceId(sources[0])))
+            : null;
+
+        // The card may have been removed while peer payloads were loading.
+        if (!card?.isConnected || !activeCharts.has(cardId)) return;
+
+        const chart  = activeCharts.get(cardId);
+        const series = scaled.map((chartData, i) => ({
+            label:  chartData.title,
+            chartData,
+            issues: ChartValidator.validate(payloads[i]),
+        }));
+
+        if (inPlace && chart) {
+            if (sources.length === 1) ChartRenderer.update(chart, scaled[0], { issues: series[0].issues, previous });
+            else                      ChartRenderer.updateOverlay(chart, series);
+            refreshCardHeading(card, payloads);
+        } else {
+            chart?.destroy();
+            const canvas = card.querySelector('canvas');
+            activeCharts.set(cardId, sources.length === 1
+                ? ChartRenderer.render(canvas, scaled[0], { issues: series[0].issues, previous, onAxisClick: openDrilldown(sources) })
+                : ChartRenderer.renderOverlay(canvas, series, { onAxisClick: openDrilldown(sources) }));
+        }
+
+        card.querySelectorAll('.chart-footer-note').forEach(note => note.remove());
+        card.insertAdjacentHTML('beforeend', buildFooterNotes(sources, scaled[0].scaling));
+
+        scaledPayloads.set(cardId, scaled);
+        renderCardPriority(cardId, scaled);
+    }
+
+    // Priority follows the scores on screen, so it changes with the scale too.
+    function renderCardPriority(cardId, scaled) {
+        const slot = document.getElementById(cardId)?.querySelector('.priority-slot');
+        if (!slot) return;
+        slot.innerHTML = scaled
+            .map(chartData => PriorityScore.buildBadge(PriorityScore.compute(chartData), {
+                label: scaled.length > 1 ? ChartRenderer.incidentNameFromTitle(chartData.title) : '',
+            }))
+            .join(' ');
+    }
+
+    // Axis clicks open the drill-down on the published payload; a label click
+    // on an overlay uses its first series.
+    function openDrilldown(sources) {
+        return ({ axis, datasetIndex }) => {
+            const source = sources[datasetIndex ?? 0];
+            AxisDrilldown.open({ ...source, axis, chartData: payloadCache.get(buildSourceId(source)) });
+        };
+    }
+
+    function buildFooterNotes(sources, scaling) {
+        return [...new Set(sources.map(s => s.zone))]
+            .map(zone => `<p class="chart-footer-note">${ChartRenderer.buildFooterNote(zone, scaling)}</p>`)
+            .join('');
+    }
+
+    // Coalesces bursts of changes (e.g. removing several cards while merging) into one redraw.
+    let rerenderPending = null;
+    function rerenderAllCards() {
+        rerenderPending ??= Promise.resolve().then(async () => {
+            rerenderPending = null;
+            await Promise.all([...activeCharts.keys()].map(renderCardChart));
+        });
+        return rerenderPending;
+    }
+
+    // Replaces the target card and the other cards with one overlay card at the
+    // target's position. Sources already on the target are not duplicated. The
+    // overlay takes the target's layout and stays pinned if any merged card was;
+    // the originals are only removed once the overlay has loaded.
+    async function mergeCards(targetId, otherIds) {
+        const cardIds = [targetId, ...otherIds.filter(id => id !== targetId)];
+        const seen    = new Set();
+        const sources = cardIds.flatMap(parseCardId).filter(source => {
+            const sourceId = buildSourceId(source);
+            if (seen.has(sourceId)) return false;
+            seen.add(sourceId);
+            return true;
+        });
+        const target = document.getElementById(targetId);
+        if (!target || sources.length < 2 || document.getElementById(buildCardId(sources))) return;
+
+        const cards  = cardIds.map(id => document.getElementById(id)).filter(Boolean);
+        const layout = {
+            ...readCardLayout(target),
+            pinned: cards.some(card => readCardLayout(card).pinned),
+        };
+        if (!await addCard(sources, { before: target, layout })) return;
+        cardIds.forEach(removeChart);
+        writeHashState({ push: true });
+    }
+
+    // Replaces an overlay card with one regular card per source, in place and
+    // with the overlay's layout. If any source fails to load, the cards added so
+    // far are dropped again and the overlay is kept.
+    async function splitCard(cardId) {
+        const card = document.getElementById(cardId);
+        if (!card) return;
+
+        const layout = readCardLayout(card);
+        const added  = [];
+        for (const source of parseCardId(cardId)) {
+            const sourceCardId = buildCardId([source]);
+            if (document.getElementById(sourceCardId)) continue;
+            if (!await addCard([source], { before: card, layout })) {
+                added.forEach(removeChart);
+                return;
+            }
+            added.push(sourceCardId);
+        }
+        removeChart(cardId);
+        writeHashState({ push: true });
+    }
+
+    function refreshOverlayButton() {
+        overlayBtn.disabled = chartsGrid.querySelectorAll('.overlay-check:checked').length < 2;
+    }
+
+    // ── Live refresh ───────────────────────────────────────────────
+    //
+    // When LiveRefresh sees a new publish, only the payloads on screen are
+    // re-fetched and the cards' charts are updated in place. A card whose
+    // payload failed to refresh keeps its old data and is marked stale until a
+    // later check succeeds. Retries re-fetch only the stale payloads.
+
+    const staleSources = new Set();   // sourceIds whose last refresh failed
+
+    async function refreshDisplayedCharts(stamp, { retry = false } = {}) {
+        dataStamp = Promise.resolve(stamp);
+        if (!retry) {
+            zonePeers.clear();
+            AxisDrilldown.reset();
+            staleSources.clear();
+        }
+
+        const sources = [...new Map([...activeCharts.keys()].flatMap(parseCardId)
+            .map(source => [buildSourceId(source), source])).values()]
+            .filter(source => !retry || staleSources.has(buildSourceId(source)));
+        const fetched = new Set(sources.map(buildSourceId));
+        const cardIds = [...activeCharts.keys()]
+            .filter(cardId => parseCardId(cardId).some(source => fetched.has(buildSourceId(source))));
+        const results = await ChartData.mapWithConcurrency(sources, source =>
+            fetchChartData(source, { refresh: true }));
+
+        const failures = new Map();   // sourceId → Error
+        results.forEach((result, i) => {
+            const sourceId = buildSourceId(sources[i]);
+            if (result.status === 'rejected') {
+                failures.set(sourceId, result.reason);
+                staleSources.add(sourceId);
+            } else {
+                staleSources.delete(sourceId);
+            }
+        });
+
+        await Promise.all(cardIds.map(cardId => {
+            const errors = parseCardId(cardId)
+                .map(source => failures.get(buildSourceId(source)))
+                .filter(Boolean);
+            setCardStale(cardId, errors);
+            return renderCardChart(cardId, { inPlace: true });
+        }));
+        return failures.size === 0;
+    }
+
+    function setCardStale(cardId, errors) {
+        const card = document.getElementById(cardId);
+        if (!card) return;
+        card.classList.toggle('is-stale', errors.length > 0);
+        card.querySelector('.stale-indicator')?.remove();
+        if (errors.length === 0) return;
+        card.querySelector('.chart-card-title').insertAdjacentHTML('beforeend',
+            `<span class="stale-indicator" title="Refresh failed: ${SafeHtml.escape(errors.map(err => err.message).join('; '))}">`
+            + 'Stale – showing previous data</span>');
+    }
+
+    // Threshold alerts are re-checked against the new data after each publish.
+    const alerts = AlertRules.mountPanel(alertsPanel, { incidentMap, onAddChart: addSourceCard });
+
+    LiveRefresh.start({
+        initialStamp: dataStamp,
+        onPublish:    async (stamp, { retry }) => {
+            const [refreshed] = await Promise.all([
+                refreshDisplayedCharts(stamp, { retry }),
+                retry ? null : alerts.rescan({ refresh: true, notify: true }),
+            ]);
+            return refreshed;
+        },
+    });
+
+    // ── URL state ──────────────────────────────────────────────────
+    //
+    // The dashboard is encoded in the hash so a link reproduces the same view:
+    //   index.html#region=FAS&charts=FAS/<uid>/3_mile_buffer@wp,KKS/<uid>/0_mile_buffer~TAS/<uid>/0_mile_buffer
+    // Cards are comma-separated in grid order; overlay sources are joined with "~".
+    // An optional "@" suffix holds layout flags: w = wide, p = pinned, c = collapsed.
+    // The same state, as plain data, is what WorkspaceStore saves.
+
+    const LAYOUT_FLAGS = { wide: 'w', pinned: 'p', collapsed: 'c' };
+
+    function parseDashboardState(hash) {
+        const params = new URLSearchParams(hash);
+        const region = params.get('region') || '';
+        const scale    = params.get('scale') in ChartScaling.SCALES ? params.get('scale') : 'published';
+        const baseline = params.get('baseline') in ChartScaling.BASELINES ? params.get('baseline') : 'statewide';
+        const cards  = (params.get('charts') || '')
+            .split(',')
+            .filter(Boolean)
+            .map(entry => {
+                const [list, flags = ''] = entry.split('@');
+                const layout = Object.fromEntries(Object.entries(LAYOUT_FLAGS)
+                    .map(([key, flag]) => [key, flags.includes(flag)]));
+                return { sources: validSources(list.split('~').map(source => source.split('/'))), ...layout };
+            })
+            .filter(card => card.sources.length > 0);
+        return { region, scale, baseline, cards };
+    }
+
+    function validSources(parts) {
+        return parts
+            .filter(source => source.length === 3 && source.every(Boolean))
+            .map(([sourceRegion, uid, zone]) => ({ region: sourceRegion, uid, zone }))
+            .filter(source => ChartData.findIncident(incidentMap, source.region, source.uid)
+                && ZoneManifest.isProduced(source.uid, source.zone));
+    }
+
+    // Card order and layout are read from the DOM so the state always mirrors the screen.
+    function currentDashboardState() {
+        return {
+            region:   regionSelect.value,
+            scale:    scaleSelect.value,
+            baseline: baselineSelect.value,
+            cards:    [...chartsGrid.querySelectorAll('.chart-card[id]')]
+                .filter(card => activeCharts.has(card.id))
+                .map(card => ({ sources: parseCardId(card.id), ...readCardLayout(card) })),
+        };
+    }
+
+    function formatDashboardState({ region, scale, baseline, cards }) {
+        const charts = cards.map(card => {
+            const flags = Object.entries(LAYOUT_FLAGS).filter(([key]) => card[key]).map(([, flag]) => flag).join('');
+            const list  = card.sources.map(({ region: r, uid, zone }) => `${r}/${uid}/${zone}`).join('~');
+            return flags ? `${list}@${flags}` : list;
+        });
+
+        const parts = [];
+        if (region) parts.push(`region=${encodeURIComponent(region)}`);
+        if (scale !== 'published') parts.push(`scale=${scale}`, `baseline=${baseline}`);
+        if (charts.length) parts.push(`charts=${charts.join(',')}`);
+        return parts.join('&');
+    }
+
+    function readHashState() {
+        return parseDashboardState(location.hash.substring(1));
+    }
+
+    function writeHashState({ push = false } = {}) {
+        const hash = formatDashboardState(currentDashboardState());
+        const url  = hash ? `#${hash}` : location.pathname + location.search;
+        if (url === location.hash) return;
+
+        if (push) history.pushState(null, '', url);
+        else      history.replaceState(null, '', url);
+    }
+
+    // Rebuilds the grid to match the hash: drops cards no longer listed, fetches
+    // missing ones through the normal add path, then reorders cards to hash order.
+    async function applyHashState() {
+        const { region, scale, baseline, cards } = readHashState();
+
+        if (region !== regionSelect.value) {
+            regionSelect.value = Object.hasOwn(incidentMap, region) ? region : '';
+            applyRegionFilter();
+        }
+
+        const scalingChanged = scale !== scaleSelect.value || baseline !== baselineSelect.value;
+        scaleSelect.value    = scale;
+        baselineSelect.value = baseline;
+        refreshBaselineSelect();
+
+        const wanted = new Set(cards.map(card => buildCardId(card.sources)));
+
+        [...activeCharts.keys()]
+            .filter(cardId => !wanted.has(cardId))
+            .forEach(removeChart);
+
+        await Promise.all(
+            cards
+                .filter(card => !activeCharts.has(buildCardId(card.sources)))
+                .map(card => addCard(card.sources))
+        );
+
+        cards.forEach(layout => {
+            const card = document.getElementById(buildCardId(layout.sources));
+            if (!card) return;
+            applyCardLayout(card, layout);
+            chartsGrid.appendChild(card);
+        });
+        keepPinnedFirst();
+
+        if (scalingChanged) await rerenderAllCards();
+
+        // Drop any entries that failed to load or were invalid.
+        writeHashState();
+    }
+
+    window.addEventListener('popstate', applyHashState);
+    await applyHashState();
+
+    // ── Workspaces ─────────────────────────────────────────────────
+    //
+    // A workspace is a saved dashboard state (see WorkspaceStore). Choosing one
+    // pushes its state to the hash and applies it like any other navigation.
+
+    function refreshWorkspaceSelect(selected = workspaceSelect.value) {
+        workspaceSelect.length = 1;
+        WorkspaceStore.names().forEach(name => workspaceSelect.add(new Option(name, name)));
+        workspaceSelect.value = WorkspaceStore.get(selected) ? selected : '';
+    }
+
+    async function openWorkspace(name) {
+        const workspace = WorkspaceStore.get(name);
+        if (!workspace) return;
+        // Sources no longer in the incident map are dropped when the hash is applied.
+        const hash = formatDashboardState(workspace);
+        history.pushState(null, '', hash ? `#${hash}` : location.pathname + location.search);
+        await applyHashState();
+    }
+
+    workspaceSelect.addEventListener('change', () => openWorkspace(workspaceSelect.value));
+
+    workspaceMenu.addEventListener('click', e => {
+        const action = e.target.closest('button[data-action]')?.dataset.action;
+        if (!action) return;
+        workspaceMenu.open = false;
+        const active = workspaceSelect.value;
+
+        if (action === 'save') {
+            const name = prompt('Save the current charts and layout as workspace:', active || '');
+            if (name === null) return;
+            try {
+                refreshWorkspaceSelect(WorkspaceStore.save(name, currentDashboardState()));
+            } catch (err) {
+                alert(err.message);
+            }
+        } else if (action === 'delete') {
+            if (!active || !confirm(`Delete the workspace "${active}"?`)) return;
+            try {
+                WorkspaceStore.remove(active);
+                refreshWorkspaceSelect('');
+            } catch (err) {
+                alert(err.message);
+            }
+        } else if (action === 'export') {
+            const names = active ? [active] : WorkspaceStore.names();
+            ChartExport.downloadBlob(
+                new Blob([WorkspaceStore.exportJson(names)], { type: 'application/json' }),
+                active ? `workspace-${ChartExport.slugify(active)}.json` : 'workspaces.json',
+            );
+        } else if (action === 'import') {
+            workspaceImport.click();
+        }
+    });
+
+    workspaceImport.addEventListener('change', async () => {
+        const file = workspaceImport.files[0];
+        workspaceImport.value = '';
+        if (!file) return;
+        try {
+            const names = WorkspaceStore.importJson(await file.text());
+            refreshWorkspaceSelect(names.length === 1 ? names[0] : workspaceSelect.value);
+            if (names.length === 1) await openWorkspace(names[0]);
+            else alert(names.length ? `Imported ${names.join(', ')}` : 'No workspaces found in file');
+        } catch (err) {
+            alert(`Import failed: ${err.message}`);
+        }
+    });
+
+    refreshWorkspaceSelect();
+
+    // ── What changed since the last visit ──────────────────────────
+    //
+    // Re-fetches every chart this browser has a snapshot of; fetching records the
+    // new payload, and any snapshot that changed after the previous visit is listed.
+
+    async function showChanges() {
+        const tracked = SnapshotStore.list().filter(({ region, uid }) => ChartData.findIncident(incidentMap, region, uid));
+        if (tracked.length === 0 || lastVisit === 0) return;
+
+        await ChartData.mapWithConcurrency(tracked, item => fetchChartData(item));
+
+        const changes = tracked
+            .map(({ region, uid, zone }) => ({ region, uid, zone, entry: SnapshotStore.get(region, uid, zone) }))
+            .filter(({ entry }) => entry?.previous && entry.changedAt > lastVisit)
+            .map(item => {
+                const { current, previous } = item.entry;
+                const labels = Object.keys(current.chartData.data);
+                const sum    = data => labels.reduce((total, label) => total + (data?.[label] ?? 0), 0);
+                return {
+                    ...item,
+                    title:  current.chartData.title,
+                    growth: sum(current.chartData.data) - sum(previous.chartData.data),
+                    lines:  labels.flatMap(label =>
+                        ChartRenderer.describeChange(label, current.chartData, previous.chartData)),
+                };
+            })
+            .filter(change => change.lines.length > 0)
+            .sort((a, b) => b.growth - a.growth);
+
+        if (changes.length === 0) return;
+
+        changesPanel.innerHTML = `
+            <details open>
+                <summary>What changed since your last visit (${changes.length})</summary>
+                <ul class="changes-list">
+                    ${changes.map(change => `
+                        <li>
+                            <div class="changes-item-header">
+                                <strong>${SafeHtml.escape(change.title)}</strong>
+                                <span class="changes-growth ${change.growth >= 0 ? 'is-up' : 'is-down'}">
+                                    ${change.growth >= 0 ? '▲' : '▼'} ${Math.abs(change.growth).toFixed(1)} score pts
+                                </span>
+                                <button class="action-btn changes-add-btn" title="Add chart"
+                                    data-source="${SafeHtml.escape(`${change.region}/${change.uid}/${change.zone}`)}">＋</button>
+                            </div>
+                            <ul>${change.lines.map(line => `<li>${SafeHtml.escape(line)}</li>`).join('')}</ul>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+        changesPanel.hidden = false;
+    }
+
+    // Adds a single-source card unless one is already on the dashboard.
+    async function addSourceCard(source) {
+        if (document.getElementById(buildCardId([source]))) return;
+        if (await addCard([source])) writeHashState({ push: true });
+    }
+
+    changesPanel.addEventListener('click', e => {
+        const btn = e.target.closest('.changes-add-btn');
+        if (!btn) return;
+        const [region, uid, zone] = btn.dataset.source.split('/');
+        addSourceCard({ region, uid, zone });
     });
 
-    // ── Card builder ───────────────────────────────────────────────
+    showChanges();
+
+    // ── Card builders ──────────────────────────────────────────────
+
+    // ── Card layout ────────────────────────────────────────────────
+    //
+    // Layout lives in classes on the card: is-wide (two grid columns),
+    // is-pinned (kept at the top, cannot be removed) and is-collapsed (header only).
+
+    function buildLayoutButtonsHtml() {
+        return `
+            <button class="action-btn collapse-btn" aria-pressed="false">▾</button>
+            <button class="action-btn wide-btn" title="Double width" aria-pressed="false">⇔</button>
+            <button class="action-btn pin-btn" title="Pin to top" aria-pressed="false">⚲</button>
+        `;
+    }
+
+    function readCardLayout(card) {
+        return {
+            wide:      card.classList.contains('is-wide'),
+            pinned:    card.classList.contains('is-pinned'),
+            collapsed: card.classList.contains('is-collapsed'),
+        };
+    }
+
+    function applyCardLayout(card, { wide = false, pinned = false, collapsed = false }) {
+        card.classList.toggle('is-wide', wide);
+        card.classList.toggle('is-pinned', pinned);
+        card.classList.toggle('is-collapsed', collapsed);
+
+        card.querySelector('.wide-btn').setAttribute('aria-pressed', String(wide));
+        card.querySelector('.pin-btn').setAttribute('aria-pressed', String(pinned));
+        const collapseBtn = card.querySelector('.collapse-btn');
+        collapseBtn.setAttribute('aria-pressed', String(collapsed));
+        collapseBtn.textContent = collapsed ? '▸' : '▾';
+        collapseBtn.title       = collapsed ? 'Expand chart' : 'Collapse chart';
+        const removeBtn = card.querySelector('.remove-btn');
+        removeBtn.disabled = pinned;
+        removeBtn.title    = pinned ? 'Unpin to remove' : 'Remove chart';
+    }
+
+    function toggleCardLayout(card, key) {
+        const layout = readCardLayout(card);
+        applyCardLayout(card, { ...layout, [key]: !layout[key] });
+        if (key === 'pinned') keepPinnedFirst();
+        writeHashState({ push: true });
+    }
+
+    // Pinned cards stay ahead of the others, in their own relative order.
+    function keepPinnedFirst() {
+        [...chartsGrid.querySelectorAll('.chart-card.is-pinned')]
+            .reverse()
+            .forEach(card => chartsGrid.prepend(card));
+    }
+
+    function moveCard(cardId, targetId, position) {
+        const card   = document.getElementById(cardId);
+        const target = document.getElementById(targetId);
+        if (!card || !target) return;
+        chartsGrid.insertBefore(card, position === 'before' ? target : target.nextElementSibling);
+        keepPinnedFirst();
+        writeHashState({ push: true });
+    }
+
+    // Dropping on the left or right quarter of a card reorders; the middle merges into an overlay.
+    function dropAction(card, e) {
+        const rect = card.getBoundingClientRect();
+        const x    = (e.clientX - rect.left) / rect.width;
+        return x < 0.25 ? 'before' : x > 0.75 ? 'after' : 'merge';
+    }
+
+    function clearDropClasses(card) {
+        card.classList.remove('drop-target', 'drop-before', 'drop-after');
+    }
+
+    // Header controls shared by regular and overlay cards: the overlay checkbox,
+    // layout buttons, drag-and-drop reordering and merging, and the remove button.
+    function wireCardControls(card) {
+        const cardId = card.id;
+
+        card.querySelector('.overlay-check').addEventListener('change', refreshOverlayButton);
+
+        card.querySelector('.remove-btn').addEventListener('click', () => {
+            if (card.classList.contains('is-pinned')) return;
+            removeChart(cardId);
+            writeHashState({ push: true });
+        });
+
+        card.querySelector('.collapse-btn').addEventListener('click', () => toggleCardLayout(card, 'collapsed'));
+        card.querySelector('.wide-btn').addEventListener('click', () => toggleCardLayout(card, 'wide'));
+        card.querySelector('.pin-btn').addEventListener('click', () => toggleCardLayout(card, 'pinned'));
+        applyCardLayout(card, {});
+
+        card.draggable = true;
+        card.addEventListener('dragstart', e => {
+            draggingId = cardId;
+            e.dataTransfer.setData('text/plain', cardId);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        card.addEventListener('dragend', () => {
+            draggingId = null;
+        });
+        card.addEventListener('dragover', e => {
+            e.preventDefault();
+            if (draggingId === cardId) return;
+            const action = dropAction(card, e);
+            card.classList.toggle('drop-target', action === 'merge');
+            card.classList.toggle('drop-before', action === 'before');
+            card.classList.toggle('drop-after', action === 'after');
+        });
+        card.addEventListener('dragleave', () => clearDropClasses(card));
+        card.addEventListener('drop', e => {
+            e.preventDefault();
+            clearDropClasses(card);
+            const draggedId = e.dataTransfer.getData('text/plain');
+            if (!draggedId || draggedId === cardId || !activeCharts.has(draggedId)) return;
+            const action = dropAction(card, e);
+            if (action === 'merge') mergeCards(cardId, [draggedId]);
+            else                    moveCard(draggedId, cardId, action);
+        });
+    }
+
+    // Title and subtitle markup for a card; overlays summarize their payloads
+    // and carry the freshness badge of their oldest one.
+    function buildCardHeading(payloads) {
+        if (payloads.length === 1) {
+            const [chartData] = payloads;
+            return {
+                heading:  `${SafeHtml.escape(chartData.title)} ${ChartValidator.buildBadge(ChartValidator.validate(chartData))}`,
+                subtitle: `${SafeHtml.escape(chartData.subtitle)} ${DataFreshness.buildBadge(DataFreshness.describe(chartData))}`,
+            };
+        }
+        const issues = payloads.flatMap(p => ChartValidator.validate(p)
+            .map(entry => ({ ...entry, axis: entry.axis && `${p.title} · ${entry.axis}` })));
+        const oldest = payloads.map(p => DataFreshness.describe(p))
+            .filter(freshness => freshness.updatedAt)
+            .sort((a, b) => b.ageMs - a.ageMs)[0];
+        return {
+            heading:  `Overlay: ${payloads.length} charts ${ChartValidator.buildBadge(issues)}`,
+            subtitle: SafeHtml.escape([...new Set(payloads.map(p => p.subtitle))].join(' | '))
+                + (oldest ? ` ${DataFreshness.buildBadge(oldest)}` : ''),
+        };
+    }
+
+    function refreshCardHeading(card, payloads) {
+        const { heading, subtitle } = buildCardHeading(payloads);
+        card.querySelector('.chart-card-title h3').innerHTML = heading;
+        card.querySelector('.chart-card-title p').innerHTML  = subtitle;
+    }
 
     function buildCard(chartId, chartData, incident, zone) {
         const card     = document.createElement('article');
         card.className = 'chart-card';
         card.id        = chartId;
 
-        const chartHref    = `chart.html#${incident.region}/${incident.uid}/${zone}`;
-        const incidentHref = `incident.html#${incident.region}/${incident.uid}`;
+        const chartHref    = SafeHtml.escape(`chart.html#${incident.region}/${incident.uid}/${zone}`);
+        const incidentHref = SafeHtml.escape(`incident.html#${incident.region}/${incident.uid}`);
+        const { heading, subtitle } = buildCardHeading([chartData]);
 
         card.innerHTML = `
             <div class="chart-card-header">
                 <div class="chart-card-title">
-                    <h3>${chartData.title}</h3>
-                    <p>${chartData.subtitle}</p>
+                    <h3>${heading}</h3>
+                    <p>${subtitle}</p>
+                    <div class="priority-slot"></div>
                 </div>
                 <div class="chart-card-actions">
+                    <input type="checkbox" class="overlay-check" title="Select for overlay">
+                    ${ChartExport.buildMenuHtml()}
                     <a href="${chartHref}" target="_blank" class="action-link" title="Open full chart view">⧉</a>
                     <a href="${incidentHref}" target="_blank" class="action-link" title="View all zones for this incident">☰</a>
+                    ${buildLayoutButtonsHtml()}
                     <button class="action-btn remove-btn" title="Remove chart">✕</button>
                 </div>
             </div>
             <div class="canvas-wrapper">
                 <canvas></canvas>
             </div>
-            <p class="chart-footer-note">${ChartRenderer.buildFooterNote(zone)}</p>
         `;
 
-        card.querySelector('.remove-btn').addEventListener('click', () => {
-            activeCharts.get(chartId)?.destroy();
-            activeCharts.delete(chartId);
-            card.remove();
+        // Exports read the cache at click time so they include any live refresh.
+        const source   = `${incident.region}/${incident.uid}`;
+        const current  = () => payloadCache.get(buildSourceId({ region: incident.region, uid: incident.uid, zone }));
+        const filename = () => ChartExport.slugify(current().title);
+        const panels   = () => [{
+            chart:    activeCharts.get(chartId),
+            title:    current().title,
+            subtitle: current().subtitle,
+            footer:   card.querySelector('.chart-footer-note')?.innerHTML,
+        }];
+        ChartExport.wireMenu(card, {
+            png:  () => ChartExport.exportPng(panels(), { filename: filename() }),
+            svg:  () => ChartExport.exportSvg(panels(), { filename: filename() }),
+            csv:  () => ChartExport.exportCsv([{ source, zone, chartData: current() }], filename()),
+            json: () => ChartExport.exportJson([{ source, zone, chartData: current() }], filename()),
+        });
+
+        wireCardControls(card);
+        return card;
+    }
+
+    function buildOverlayCard(cardId, payloads, sources) {
+        const card     = document.createElement('article');
+        card.className = 'chart-card overlay-card';
+        card.id        = cardId;
+
+        const { heading, subtitle } = buildCardHeading(payloads);
+
+        card.innerHTML = `
+            <div class="chart-card-header">
+                <div class="chart-card-title">
+                    <h3>${heading}</h3>
+                    <p>${subtitle}</p>
+                    <div class="priority-slot"></div>
+                </div>
+                <div class="chart-card-actions">
+                    <input type="checkbox" class="overlay-check" title="Select for overlay">
+                    ${ChartExport.buildMenuHtml()}
+                    <button class="action-btn split-btn" title="Split into separate charts">⇲</button>
+                    ${buildLayoutButtonsHtml()}
+                    <button class="action-btn remove-btn" title="Remove chart">✕</button>
+                </div>
+            </div>
+            <div class="canvas-wrapper">
+                <canvas></canvas>
+            </div>
+        `;
+
+        const current  = () => sources.map(source => payloadCache.get(buildSourceId(source)));
+        const entries  = () => current().map((chartData, i) => ({
+            source: `${sources[i].region}/${sources[i].uid}`,
+            zone:   sources[i].zone,
+            chartData,
+        }));
+        const filename = () => `overlay-${current().map(p => ChartExport.slugify(ChartRenderer.incidentNameFromTitle(p.title))).join('-vs-')}`;
+        const panels   = () => [{
+            chart:    activeCharts.get(cardId),
+            title:    `Overlay: ${current().map(p => p.title).join(' · ')}`,
+            subtitle: [...new Set(current().map(p => p.subtitle))].join(' | '),
+            footer:   [...card.querySelectorAll('.chart-footer-note')].map(note => note.innerHTML).join(' '),
+        }];
+        ChartExport.wireMenu(card, {
+            png:  () => ChartExport.exportPng(panels(), { filename: filename() }),
+            svg:  () => ChartExport.exportSvg(panels(), { filename: filename() }),
+            csv:  () => ChartExport.exportCsv(entries(), filename()),
+            json: () => ChartExport.exportJson(entries(), filename()),
         });
 
+        card.querySelector('.split-btn').addEventListener('click', () => splitCard(cardId));
+        wireCardControls(card);
         return card;
     }
 
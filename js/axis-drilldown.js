@@ -0,0 +1,237 @@
+/**
+ * AxisDrilldown - side panel opened by clicking a radar axis. It answers "is
+ * this value a lot?" by placing one incident's axis among every current
+ * incident in the same zone.
+ *
+ * The panel shows
+ * ---------------
+ *   - the raw value and metric, with each entry of a composite axis
+ *     (e.g. Critical Infrastructure feet and features) listed separately
+ *   - the incident's rank and percentile among incidents assessed on the axis
+ *   - a histogram of the axis score over those incidents, this one marked
+ *
+ * Ranking uses published scores, which order the same way as the raw value
+ * for simple axes and also rank composites (as on region.html). Incidents not
+ * assessed on the axis, or without the zone, are left out of the ranking and
+ * counted in a note. Peer payloads are loaded once per zone, and loaded again
+ * after reset() (pages call it when LiveRefresh sees a new publish).
+ */
+const AxisDrilldown = (() => {
+
+    const BIN_COUNT  = 10;
+    const SCORE_MAX  = 100;
+
+    const peersByZone = new Map();   // zone → Promise<[{ incident, chartData }]> (loaded results only)
+    let panel     = null;
+    let openToken = 0;
+    let returnFocus = null;
+
+    const { isAssessed, rawParts } = ChartRenderer;
+
+    function ordinal(n) {
+        const tens = n % 100;
+        const suffix = tens >= 11 && tens <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th');
+        return `${n}${suffix}`;
+    }
+
+    // ── Statistics ─────────────────────────────────────────────────
+
+    /**
+     * Place one incident's axis score among its peers.
+     *
+     * @param {{ incident: { uid: string }, chartData: Object }[]} peers - loaded payloads for the zone
+     * @param {string} axis
+     * @param {{ uid: string, chartData: Object }} subject - the incident shown in the panel;
+     *        its own payload replaces any peer entry with the same uid
+     * @returns {{
+     *   score: number|null, assessed: number, notAssessed: number,
+     *   rank: number|null, percentile: number|null, median: number|null,
+     *   bins: { from: number, to: number, count: number, current: boolean }[],
+     * }} rank is 1 for the highest score (ties share a rank); percentile is the
+     *    share of the other assessed incidents scoring lower; median is of the
+     *    raw value for simple axes and null for composites
+     */
+    function placeAmong(peers, axis, subject) {
+        const payloads = [
+            subject.chartData,
+            ...peers.filter(peer => peer.incident.uid !== subject.uid).map(peer => peer.chartData),
+        ];
+        const assessed = payloads.filter(chartData => isAssessed(chartData.data?.[axis]));
+        const scores   = assessed.map(chartData => chartData.data[axis]);
+        const score    = subject.chartData.data?.[axis] ?? null;
+
+        const binOf = value => Math.min(BIN_COUNT - 1, Math.floor(value / (SCORE_MAX / BIN_COUNT)));
+        const bins  = Array.from({ length: BIN_COUNT }, (_, i) => ({
+            from:    i * SCORE_MAX / BIN_COUNT,
+            to:      (i + 1) * SCORE_MAX / BIN_COUNT,
+            count:   0,
+            current: isAssessed(score) && binOf(score) === i,
+        }));
+        scores.forEach(value => bins[binOf(value)].count++);
+
+        const rawValues = assessed
+            .map(chartData => chartData.raw?.[axis])
+            .filter(entry => entry && !Array.isArray(entry) && Number.isFinite(entry.value))
+            .map(entry => entry.value)
+            .sort((a, b) => a - b);
+        const mid    = Math.floor(rawValues.length / 2);
+        const median = rawValues.length === 0 ? null
+            : rawValues.length % 2 ? rawValues[mid] : (rawValues[mid - 1] + rawValues[mid]) / 2;
+
+        const others = scores.length - 1;
+        return {
+            score,
+            assessed:    scores.length,
+            notAssessed: payloads.length - scores.length,
+            rank:        isAssessed(score) ? 1 + scores.filter(value => value > score).length : null,
+            percentile:  isAssessed(score) && others > 0
+                ? Math.round(100 * scores.filter(value => value < score).length / others)
+                : null,
+            median,
+            bins,
+        };
+    }
+
+    // ── Data ───────────────────────────────────────────────────────
+
+    function loadPeers(zone) {
+        if (!peersByZone.has(zone)) {
+            peersByZone.set(zone, ChartData.loadIncidentMap()
+                .then(incidentMap => ChartData.loadZoneForIncidents(ChartData.listIncidents(incidentMap), zone))
+                .then(results => results.filter(result => result.chartData)));
+            // A failed load is retried the next time the panel opens.
+            peersByZone.get(zone).catch(() => peersByZone.delete(zone));
+        }
+        return peersByZone.get(zone);
+    }
+
+    // Drops the cached peers, so the next panel ranks against freshly published payloads.
+    function reset() {
+        peersByZone.clear();
+    }
+
+    // ── Rendering ──────────────────────────────────────────────────
+
+    function buildValueHtml(rawEntry, score) {
+        if (!isAssessed(score)) return '<p class="axis-panel-value">Not assessed for this incident.</p>';
+
+        const parts = rawParts(rawEntry);
+        const lines = parts.length > 1
+            ? `<ul class="axis-panel-parts">${parts.map(part =>
+                `<li>${SafeHtml.escape(ChartRenderer.describeRaw(part) ?? 'No value')}</li>`).join('')}</ul>`
+            : `<p class="axis-panel-value">${SafeHtml.escape(ChartRenderer.describeRaw(rawEntry) ?? 'No raw value')}</p>`;
+        return `${lines}<p class="axis-panel-score">Score ${score.toFixed(1)} / ${SCORE_MAX}</p>`;
+    }
+
+    function buildRankHtml(stats, rawEntry) {
+        if (stats.rank === null) {
+            return `<p>Assessed for ${stats.assessed} incidents in this zone.</p>`;
+        }
+        const unit   = Array.isArray(rawEntry) ? '' : (rawEntry?.metric || '');
+        const median = stats.median === null ? ''
+            : `<p>Median: ${SafeHtml.escape(ChartRenderer.describeRaw({ value: stats.median, metric: unit }))}</p>`;
+        const higher = stats.percentile === null ? ''
+            : `<p>Higher than ${stats.percentile}% of the other incidents assessed.</p>`;
+        return `
+            <p class="axis-panel-rank"><strong>${ordinal(stats.rank)}</strong> of ${stats.assessed} incidents</p>
+            ${higher}
+            ${median}
+        `;
+    }
+
+    function buildHistogramHtml(stats) {
+        const tallest = Math.max(1, ...stats.bins.map(bin => bin.count));
+        const bars = stats.bins.map(bin => {
+            const label = `Score ${bin.from}–${bin.to}: ${bin.count} incident${bin.count === 1 ? '' : 's'}`
+                + (bin.current ? ' (this incident)' : '');
+            return `<div class="axis-panel-bar${bin.current ? ' is-current' : ''}" title="${label}">
+                        <span data-share="${(100 * bin.count / tallest).toFixed(1)}"></span>
+                    </div>`;
+        }).join('');
+        return `
+            <div class="axis-panel-histogram" role="img"
+                 aria-label="${stats.bins.map(bin => `${bin.from}–${bin.to}: ${bin.count}`).join(', ')}">${bars}</div>
+            <div class="axis-panel-histogram-scale"><span>0</span><span>Score</span><span>${SCORE_MAX}</span></div>
+        `;
+    }
+
+    function ensurePanel() {
+        if (panel) return panel;
+        panel = document.createElement('aside');
+        panel.className = 'axis-panel';
+        panel.hidden    = true;
+        panel.setAttribute('role', 'dialog');
+        panel.setAttribute('aria-labelledby', 'axis-panel-title');
+        panel.innerHTML = `
+            <div class="axis-panel-header">
+                <h2 id="axis-panel-title"></h2>
+                <button type="button" class="axis-panel-close" aria-label="Close">×</button>
+            </div>
+            <div class="axis-panel-body"></div>
+        `;
+        panel.querySelector('.axis-panel-close').addEventListener('click', close);
+        panel.addEventListener('keydown', e => {
+            if (e.key === 'Escape') close();
+        });
+        document.body.appendChild(panel);
+        return panel;
+    }
+
+    /**
+     * Open the panel for one axis of one incident's payload. Opening another
+     * axis replaces the panel contents.
+     *
+     * @param {{ region: string, uid: string, zone: string, axis: string, chartData: Object }} target
+     *        chartData is the published payload (not a rescaled copy)
+     */
+    async function open({ region, uid, zone, axis, chartData }) {
+        const token = ++openToken;
+        const el    = ensurePanel();
+        const body  = el.querySelector('.axis-panel-body');
+        const score = chartData.data?.[axis] ?? null;
+        const raw   = chartData.raw?.[axis] ?? null;
+
+        if (el.hidden) returnFocus = document.activeElement;
+        el.querySelector('h2').textContent = axis;
+        body.innerHTML = `
+            <p class="axis-panel-source">
+                <a href="${SafeHtml.escape(`chart.html#${region}/${uid}/${zone}`)}">${SafeHtml.escape(chartData.title)}</a>
+                · ${SafeHtml.escape(ZoneManifest.label(zone))}
+            </p>
+            ${buildValueHtml(raw, score)}
+            <section class="axis-panel-section">
+                <h3>Among all current incidents</h3>
+                <div class="axis-panel-stats"><div class="state-loading">Loading incidents…</div></div>
+            </section>
+        `;
+        el.hidden = false;
+        el.querySelector('.axis-panel-close').focus();
+
+        const statsEl = body.querySelector('.axis-panel-stats');
+        try {
+            const peers = await loadPeers(zone);
+            if (token !== openToken) return;
+            const stats = placeAmong(peers, axis, { uid, chartData });
+            const skipped = stats.notAssessed
+                ? `<p class="axis-panel-note">${stats.notAssessed} incident${stats.notAssessed === 1 ? ' is' : 's are'} not assessed on this axis and left out.</p>`
+                : '';
+            statsEl.innerHTML = buildRankHtml(stats, raw) + buildHistogramHtml(stats) + skipped;
+            // Bar heights are set through the style property, which a strict style-src allows.
+            statsEl.querySelectorAll('.axis-panel-bar span').forEach(bar => {
+                bar.style.height = `${bar.dataset.share}%`;
+            });
+        } catch (err) {
+            if (token === openToken) statsEl.innerHTML = `<div class="state-error">Failed to load incidents: ${SafeHtml.escape(err.message)}</div>`;
+        }
+    }
+
+    function close() {
+        if (!panel || panel.hidden) return;
+        openToken++;
+        panel.hidden = true;
+        if (returnFocus?.isConnected) returnFocus.focus();
+        returnFocus = null;
+    }
+
+    return { BIN_COUNT, placeAmong, open, close, reset };
+})();
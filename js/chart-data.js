@@ -0,0 +1,129 @@
+/**
+ * ChartData - shared loaders for the data tree.
+ *
+ * Layout
+ * ------
+ *   incident_map.json                  { region: { incidentName: uid } }
+ *   last_updated.json                  publish stamp
+ *   <region>/<uid>/<zone>.json         one chart payload per analysis zone
+ *
+ * Paths are relative to the active DataSource root: data/ for the published
+ * site, or a preview URL or local bundle. refresh: true bypasses the HTTP cache.
+ *
+ * Region, uid and zone ids are single path segments (letters, digits, "_" and
+ * "-"); loadChart() refuses anything else, so a crafted link cannot reach
+ * outside the data tree. Pages also check hash values with findIncident().
+ *
+ * Bulk loads (every incident for one zone) go through mapWithConcurrency so a
+ * page never has more than a handful of requests in flight at once.
+ */
+const ChartData = (() => {
+
+    const DEFAULT_CONCURRENCY = 6;
+    const SEGMENT_RE          = /^[A-Za-z0-9_-]+$/;
+
+    function loadIncidentMap(options) {
+        return DataSource.fetchJson('incident_map.json', options);
+    }
+
+    function loadChart(region, uid, zone, options) {
+        if (![region, uid, zone].every(part => SEGMENT_RE.test(part))) {
+            return Promise.reject(new Error('Invalid chart path'));
+        }
+        return DataSource.fetchJson(`${region}/${uid}/${zone}.json`, options);
+    }
+
+    // The incident named by a region/uid pair (e.g. from a URL hash), or null
+    // unless the incident map lists exactly that pair.
+    function findIncident(incidentMap, region, uid) {
+        if (!Object.hasOwn(incidentMap, region)) return null;
+        const name = Object.keys(incidentMap[region]).find(n => incidentMap[region][n] === uid);
+        return name === undefined ? null : { region, name, uid };
+    }
+
+    // Resolves to the publish stamp, or null when the file is absent or has none.
+    // Other failures (e.g. offline) reject.
+    async function loadLastUpdated(options) {
+        try {
+            return ChartRenderer.extractDatetime(await DataSource.fetchJson('last_updated.json', options));
+        } catch (err) {
+            if (err.status === 404) return null;
+            throw err;
+        }
+    }
+
+    // Flattens the incident map into [{ region, name, uid }], optionally limited to one region.
+    function listIncidents(incidentMap, region = '') {
+        return Object.entries(incidentMap)
+            .filter(([r]) => !region || r === region)
+            .flatMap(([r, incidents]) =>
+                Object.entries(incidents).map(([name, uid]) => ({ region: r, name, uid }))
+            );
+    }
+
+    /**
+     * Run an async mapper over items with at most `limit` calls in flight.
+     * Results keep input order and are Promise.allSettled-shaped, so one failed
+     * item never aborts the batch.
+     *
+     * @param {Array}    items
+     * @param {Function} mapper            - async (item, index) => result
+     * @param {{ limit?: number, onProgress?: (done: number, total: number) => void }} [options]
+     * @returns {Promise<{status: string, value?: *, reason?: Error}[]>}
+     */
+    async function mapWithConcurrency(items, mapper, { limit = DEFAULT_CONCURRENCY, onProgress } = {}) {
+        const results = new Array(items.length);
+        let next = 0;
+        let done = 0;
+
+        async function worker() {
+            while (next < items.length) {
+                const i = next++;
+                try {
+                    results[i] = { status: 'fulfilled', value: await mapper(items[i], i) };
+                } catch (reason) {
+                    results[i] = { status: 'rejected', reason };
+                }
+                done++;
+                onProgress?.(done, items.length);
+            }
+        }
+
+        const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+        await Promise.all(workers);
+        return results;
+    }
+
+    /**
+     * Load one zone's payload for every listed incident. Incidents that
+     * ZoneManifest says have no such zone are not fetched and come back as
+     * { incident, absent: true }.
+     *
+     * @param {{ region: string, name: string, uid: string }[]} incidents
+     * @param {string} zone
+     * @param {{ limit?: number, onProgress?: Function, refresh?: boolean }} [options]
+     * @returns {Promise<{ incident: Object, chartData?: Object, error?: Error, absent?: true }[]>}
+     */
+    async function loadZoneForIncidents(incidents, zone, { refresh = false, ...options } = {}) {
+        const produced = incidents.filter(incident => ZoneManifest.isProduced(incident.uid, zone));
+        const results  = await mapWithConcurrency(
+            produced,
+            incident => loadChart(incident.region, incident.uid, zone, { refresh }),
+            options,
+        );
+        const loaded = new Map(results.map((result, i) => [produced[i], result.status === 'fulfilled'
+            ? { incident: produced[i], chartData: result.value }
+            : { incident: produced[i], error: result.reason }]));
+        return incidents.map(incident => loaded.get(incident) ?? { incident, absent: true });
+    }
+
+    return {
+        loadIncidentMap,
+        loadChart,
+        loadLastUpdated,
+        findIncident,
+        listIncidents,
+        mapWithConcurrency,
+        loadZoneForIncidents,
+    };
+})();
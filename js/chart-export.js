@@ -0,0 +1,385 @@
+/**
+ * ChartExport - PNG, SVG, CSV and JSON downloads for rendered charts.
+ *
+ * PNG export
+ * ----------
+ * Each panel's chart is re-rasterized at EXPORT_PIXEL_RATIO and composited onto
+ * one image with its title, subtitle and footer note, plus a page heading and
+ * the last-updated stamp. Several panels are laid out in a grid, so an
+ * incident's four zones export as a single image.
+ *
+ * SVG export
+ * ----------
+ * The same layout as a vector file for print and slide decks: radar charts
+ * are redrawn from their geometry (ChartRenderer.toSvg) and text stays text.
+ * Charts of other types are embedded as images.
+ *
+ * Data export
+ * -----------
+ * One row per axis — or per sub-metric for composite axes — with the
+ * log-normalized score and the raw {value, metric} entry. JSON export writes
+ * the payloads unchanged, keyed by their source.
+ */
+const ChartExport = (() => {
+
+    const EXPORT_PIXEL_RATIO = 3;
+    const PANEL_WIDTH        = 720;   // CSS pixels per panel before scaling
+    const PANEL_PADDING      = 24;
+    const GRID_GAP           = 16;
+    const HEADER_HEIGHT      = 56;   // page heading above the panels
+    const FOOTER_HEIGHT      = 28;   // last-updated stamp below them
+
+    const COLOR_BACKGROUND = '#0f1117';
+    const COLOR_PANEL      = '#1e2537';
+    const COLOR_TITLE      = '#e2e8f0';
+    const COLOR_TEXT       = '#94a3b8';
+    const COLOR_MUTED      = '#64748b';
+    const FONT_FAMILY      = "system-ui, -apple-system, 'Segoe UI', sans-serif";
+    const DEFAULT_HEADING  = 'AK Wildfire Priority Radar Charts';
+
+    // ── Helpers ────────────────────────────────────────────────────
+
+    // Footer notes are built as HTML for the page; images need their plain text.
+    function htmlToText(html) {
+        const el = document.createElement('div');
+        el.innerHTML = html;
+        return el.textContent.trim();
+    }
+
+    // File-name-safe slug, e.g. "554-Leisure Lake: 1 Mile" → "554-leisure-lake-1-mile".
+    function slugify(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'chart';
+    }
+
+    function lastUpdatedText() {
+        return document.getElementById('last-updated')?.textContent.trim() || '';
+    }
+
+    function downloadBlob(blob, filename) {
+        const url  = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href     = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    // Greedy word wrap for canvas text; returns the lines.
+    function wrapText(ctx, text, maxWidth) {
+        const lines = [];
+        let   line  = '';
+        for (const word of text.split(/\s+/)) {
+            const candidate = line ? `${line} ${word}` : word;
+            if (ctx.measureText(candidate).width > maxWidth && line) {
+                lines.push(line);
+                line = word;
+            } else {
+                line = candidate;
+            }
+        }
+        if (line) lines.push(line);
+        return lines;
+    }
+
+    // Re-rasterizes the chart at a higher pixel ratio and returns a copy of its canvas.
+    function snapshotChart(chart) {
+        const original  = chart.options.devicePixelRatio;
+        const animation = chart.options.animation;
+        chart.options.animation        = false;
+        chart.options.devicePixelRatio = EXPORT_PIXEL_RATIO;
+        chart.resize();
+        chart.update('none');
+
+        const copy  = document.createElement('canvas');
+        copy.width  = chart.canvas.width;
+        copy.height = chart.canvas.height;
+        copy.getContext('2d').drawImage(chart.canvas, 0, 0);
+
+        chart.options.devicePixelRatio = original;
+        chart.resize();
+        chart.update('none');
+        chart.options.animation = animation;
+        return copy;
+    }
+
+    // ── Layout ─────────────────────────────────────────────────────
+
+    /**
+     * Wrap each panel's text to the panel width and place the panels in a grid,
+     * so the image size is known before anything is drawn.
+     *
+     * @returns {{ width: number, height: number, inner: number, panels: Object[] }}
+     *          panels are { chart, x, y, rowHeight, chartHeight, titleLines, subtitleLines, footerLines }
+     */
+    function layoutPanels(panels) {
+        const columns = panels.length > 1 ? 2 : 1;
+        const inner   = PANEL_WIDTH - PANEL_PADDING * 2;
+        const measure = document.createElement('canvas').getContext('2d');
+
+        const laidOut = panels.map(panel => {
+            const chartHeight = inner * (panel.chart.height / panel.chart.width);
+
+            measure.font = `600 15px ${FONT_FAMILY}`;
+            const titleLines = wrapText(measure, panel.title || '', inner);
+            measure.font = `12px ${FONT_FAMILY}`;
+            const subtitleLines = wrapText(measure, panel.subtitle || '', inner);
+            measure.font = `11px ${FONT_FAMILY}`;
+            const footerLines = wrapText(measure, panel.footer ? htmlToText(panel.footer) : '', inner);
+
+            const height = PANEL_PADDING
+                + titleLines.length * 20 + subtitleLines.length * 16 + 10
+                + chartHeight + 10
+                + footerLines.length * 15 + PANEL_PADDING;
+            return { chart: panel.chart, chartHeight, titleLines, subtitleLines, footerLines, height };
+        });
+
+        const rows       = Math.ceil(laidOut.length / columns);
+        const rowHeights = Array.from({ length: rows }, (_, r) =>
+            Math.max(...laidOut.slice(r * columns, r * columns + columns).map(p => p.height)));
+
+        let y = HEADER_HEIGHT;
+        laidOut.forEach((panel, i) => {
+            const col = i % columns;
+            const row = Math.floor(i / columns);
+            if (col === 0 && row > 0) y += rowHeights[row - 1] + GRID_GAP;
+            panel.x         = GRID_GAP + col * (PANEL_WIDTH + GRID_GAP);
+            panel.y         = y;
+            panel.rowHeight = rowHeights[row];
+        });
+
+        return {
+            width:  columns * PANEL_WIDTH + (columns + 1) * GRID_GAP,
+            height: HEADER_HEIGHT + rowHeights.reduce((sum, h) => sum + h + GRID_GAP, 0) + FOOTER_HEIGHT,
+            inner,
+            panels: laidOut,
+        };
+    }
+
+    function stampText() {
+        return [lastUpdatedText(), `Exported: ${new Date().toLocaleString()}`].filter(Boolean).join('  ·  ');
+    }
+
+    // ── PNG ────────────────────────────────────────────────────────
+
+    /**
+     * Composite one or more charts into a PNG and download it.
+     *
+     * @param {{ chart: Chart, title: string, subtitle?: string, footer?: string }[]} panels
+     *        footer may be HTML (e.g. ChartRenderer.buildFooterNote output)
+     * @param {{ heading?: string, filename: string }} options
+     */
+    async function exportPng(panels, { heading = '', filename }) {
+        const scale  = EXPORT_PIXEL_RATIO;
+        const layout = layoutPanels(panels);
+        const { width, height, inner } = layout;
+
+        const canvas  = document.createElement('canvas');
+        canvas.width  = width * scale;
+        canvas.height = height * scale;
+        const ctx     = canvas.getContext('2d');
+        ctx.scale(scale, scale);
+        ctx.textBaseline = 'top';
+
+        ctx.fillStyle = COLOR_BACKGROUND;
+        ctx.fillRect(0, 0, width, height);
+
+        ctx.fillStyle = COLOR_TITLE;
+        ctx.font = `600 18px ${FONT_FAMILY}`;
+        ctx.fillText(heading || DEFAULT_HEADING, GRID_GAP, 18);
+
+        layout.panels.forEach(panel => {
+            ctx.fillStyle = COLOR_PANEL;
+            ctx.fillRect(panel.x, panel.y, PANEL_WIDTH, panel.rowHeight);
+
+            let cursor = panel.y + PANEL_PADDING;
+            const left = panel.x + PANEL_PADDING;
+
+            ctx.fillStyle = COLOR_TITLE;
+            ctx.font = `600 15px ${FONT_FAMILY}`;
+            panel.titleLines.forEach(line => { ctx.fillText(line, left, cursor); cursor += 20; });
+
+            ctx.fillStyle = COLOR_TEXT;
+            ctx.font = `12px ${FONT_FAMILY}`;
+            panel.subtitleLines.forEach(line => { ctx.fillText(line, left, cursor); cursor += 16; });
+            cursor += 10;
+
+            ctx.drawImage(snapshotChart(panel.chart), left, cursor, inner, panel.chartHeight);
+            cursor += panel.chartHeight + 10;
+
+            ctx.fillStyle = COLOR_MUTED;
+            ctx.font = `11px ${FONT_FAMILY}`;
+            panel.footerLines.forEach(line => { ctx.fillText(line, left, cursor); cursor += 15; });
+        });
+
+        ctx.fillStyle = COLOR_MUTED;
+        ctx.font = `italic 11px ${FONT_FAMILY}`;
+        ctx.fillText(stampText(), GRID_GAP, height - FOOTER_HEIGHT + 6);
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+        downloadBlob(blob, filename.endsWith('.png') ? filename : `${filename}.png`);
+    }
+
+    // ── SVG ────────────────────────────────────────────────────────
+
+    function svgText(x, y, text, { size, color, weight = '', italic = false }) {
+        return `<text x="${x.toFixed(1)}" y="${y.toFixed(1)}" dominant-baseline="hanging" font-size="${size}"`
+            + `${weight ? ` font-weight="${weight}"` : ''}${italic ? ' font-style="italic"' : ''} `
+            + `fill="${color}">${SafeHtml.escape(text)}</text>`;
+    }
+
+    /**
+     * Same layout as exportPng(), as an SVG file. Radar charts are redrawn as
+     * vectors (ChartRenderer.toSvg); other charts, such as the raw-value
+     * progression lines, are embedded as high-resolution images.
+     *
+     * @param {{ chart: Chart, title: string, subtitle?: string, footer?: string }[]} panels
+     * @param {{ heading?: string, filename: string }} options
+     */
+    function exportSvg(panels, { heading = '', filename }) {
+        const layout = layoutPanels(panels);
+        const { width, height, inner } = layout;
+
+        const body = layout.panels.map(panel => {
+            const parts = [`<rect x="${panel.x}" y="${panel.y}" width="${PANEL_WIDTH}" height="${panel.rowHeight}" fill="${COLOR_PANEL}"/>`];
+            let cursor = panel.y + PANEL_PADDING;
+            const left = panel.x + PANEL_PADDING;
+
+            panel.titleLines.forEach(line => {
+                parts.push(svgText(left, cursor, line, { size: 15, color: COLOR_TITLE, weight: 600 }));
+                cursor += 20;
+            });
+            panel.subtitleLines.forEach(line => {
+                parts.push(svgText(left, cursor, line, { size: 12, color: COLOR_TEXT }));
+                cursor += 16;
+            });
+            cursor += 10;
+
+            const vector = ChartRenderer.toSvg(panel.chart);
+            const box    = `x="${left}" y="${cursor.toFixed(1)}" width="${inner}" height="${panel.chartHeight.toFixed(1)}"`;
+            parts.push(vector
+                ? `<svg ${box} viewBox="0 0 ${panel.chart.width} ${panel.chart.height}">${vector}</svg>`
+                : `<image ${box} href="${snapshotChart(panel.chart).toDataURL('image/png')}"/>`);
+            cursor += panel.chartHeight + 10;
+
+            panel.footerLines.forEach(line => {
+                parts.push(svgText(left, cursor, line, { size: 11, color: COLOR_MUTED }));
+                cursor += 15;
+            });
+            return parts.join('');
+        }).join('');
+
+        const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height.toFixed(1)}" `
+            + `viewBox="0 0 ${width} ${height.toFixed(1)}" font-family="${SafeHtml.escape(FONT_FAMILY)}">`
+            + `<rect width="100%" height="100%" fill="${COLOR_BACKGROUND}"/>`
+            + svgText(GRID_GAP, 18, heading || DEFAULT_HEADING, { size: 18, color: COLOR_TITLE, weight: 600 })
+            + body
+            + svgText(GRID_GAP, height - FOOTER_HEIGHT + 6, stampText(), { size: 11, color: COLOR_MUTED, italic: true })
+            + '</svg>';
+
+        downloadBlob(
+            new Blob([svg], { type: 'image/svg+xml' }),
+            filename.endsWith('.svg') ? filename : `${filename}.svg`,
+        );
+    }
+
+    // ── CSV / JSON ─────────────────────────────────────────────────
+
+    /**
+     * Flatten payloads into table rows: one per axis, or one per sub-metric for
+     * composite axes. Null scores and raw values are kept as empty cells.
+     *
+     * @param {{ source: string, zone?: string, chartData: Object }[]} entries
+     * @returns {Object[]}
+     */
+    function toRows(entries) {
+        return entries.flatMap(({ source, zone, chartData }) =>
+            Object.entries(chartData.data).flatMap(([axis, score]) => {
+                const rawEntry = chartData.raw?.[axis];
+                const parts    = Array.isArray(rawEntry) ? rawEntry : [rawEntry ?? null];
+                return parts.map((part, index) => ({
+                    source,
+                    zone:       zone ?? '',
+                    title:      chartData.title,
+                    axis,
+                    score:      score ?? '',
+                    raw_index:  parts.length > 1 ? index : '',
+                    raw_value:  part?.value ?? '',
+                    raw_metric: part?.metric ?? '',
+                }));
+            })
+        );
+    }
+
+    function csvCell(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function exportCsv(entries, filename) {
+        const rows    = toRows(entries);
+        const columns = ['source', 'zone', 'title', 'axis', 'score', 'raw_index', 'raw_value', 'raw_metric'];
+        const lines   = [columns.join(','), ...rows.map(row => columns.map(c => csvCell(row[c])).join(','))];
+        downloadBlob(
+            new Blob([`${lines.join('\n')}\n`], { type: 'text/csv;charset=utf-8' }),
+            filename.endsWith('.csv') ? filename : `${filename}.csv`,
+        );
+    }
+
+    function exportJson(entries, filename) {
+        const bundle = {
+            lastUpdated: lastUpdatedText().replace(/^Last Updated:\s*/, '') || null,
+            charts:      entries.map(({ source, zone, chartData }) => ({ source, zone: zone ?? null, ...chartData })),
+        };
+        downloadBlob(
+            new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/json' }),
+            filename.endsWith('.json') ? filename : `${filename}.json`,
+        );
+    }
+
+    // ── Menu ───────────────────────────────────────────────────────
+
+    /**
+     * Markup for a compact export menu. Pass the returned element's container to
+     * wireMenu() once it is in the DOM.
+     */
+    function buildMenuHtml({ label = '⤓', title = 'Export' } = {}) {
+        return `
+            <details class="export-menu">
+                <summary class="action-btn" title="${title}">${label}</summary>
+                <div class="export-menu-items">
+                    <button type="button" data-format="png">PNG image</button>
+                    <button type="button" data-format="svg">SVG image</button>
+                    <button type="button" data-format="csv">CSV data</button>
+                    <button type="button" data-format="json">JSON data</button>
+                </div>
+            </details>
+        `;
+    }
+
+    // Calls handlers[format]() when a menu item is chosen, then closes the menu.
+    // A failed export is reported next to the menu for a few seconds.
+    function wireMenu(container, handlers) {
+        const menu = container.querySelector('.export-menu');
+        menu.addEventListener('click', async e => {
+            const format = e.target.closest('button[data-format]')?.dataset.format;
+            if (!format) return;
+            menu.open = false;
+            menu.parentNode.querySelector('.export-error')?.remove();
+            try {
+                await handlers[format]?.();
+            } catch (err) {
+                console.error(`Failed to export ${format}:`, err);
+                const error = document.createElement('span');
+                error.className   = 'export-error';
+                error.setAttribute('role', 'alert');
+                error.textContent = `${format.toUpperCase()} export failed: ${err.message}`;
+                menu.after(error);
+                setTimeout(() => error.remove(), 5000);
+            }
+        });
+    }
+
+    return { exportPng, exportSvg, exportCsv, exportJson, buildMenuHtml, wireMenu, slugify, downloadBlob };
+})();
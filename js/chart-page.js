@@ -2,45 +2,126 @@
 
     const hash  = location.hash.substring(1);
     const parts = hash.split('/');
+    const chartBody = document.getElementById('chart-body');
 
-    if (parts.length < 3) {
-        document.getElementById('chart-body').innerHTML =
+    if (parts.length !== 3) {
+        chartBody.innerHTML =
             '<div class="state-error">Invalid URL — expected: chart.html#&lt;region&gt;/&lt;incident-uid&gt;/&lt;zone-id&gt;</div>';
         return;
     }
 
     const [region, uid, zone] = parts;
 
+    // The link is checked against the incident map and zone manifest before any payload is fetched.
+    try {
+        const incidentMap = await ChartData.loadIncidentMap();
+        await ZoneManifest.load();
+        if (!ChartData.findIncident(incidentMap, region, uid) || !ZoneManifest.has(zone)) {
+            chartBody.innerHTML = '<div class="state-error">This link does not match a published chart. '
+                + 'It may be mistyped, or the incident is no longer listed.</div>';
+            return;
+        }
+    } catch (err) {
+        chartBody.innerHTML = `<div class="state-error">Failed to load incident map: ${SafeHtml.escape(err.message)}</div>`;
+        return;
+    }
+
     // Fetch and display last-updated datetime (fails silently if file is absent).
-    fetch('data/last_updated.json')
-        .then(r => r.ok ? r.json() : null)
-        .then(payload => {
-            const datetime = ChartRenderer.extractDatetime(payload);
-            const el = document.getElementById('last-updated');
-            if (datetime && el) el.textContent = `Last Updated: ${datetime}`;
+    const dataStamp = ChartData.loadLastUpdated()
+        .then(datetime => {
+            DataFreshness.showStamp(document.getElementById('last-updated'), datetime);
+            return datetime;
         })
-        .catch(() => {});
+        .catch(() => null);
+
+    function loadChart(options) {
+        return ChartData.loadChart(region, uid, zone, options);
+    }
+
+    if (!ZoneManifest.isProduced(uid, zone)) {
+        chartBody.innerHTML =
+            `<div class="state-loading">The ${SafeHtml.escape(ZoneManifest.label(zone))} zone was not produced for this incident.</div>`;
+        return;
+    }
 
     try {
-        const response = await fetch(`data/${region}/${uid}/${zone}.json`);
-        if (!response.ok) throw new Error(`HTTP ${response.status}`);
-        const chartData = await response.json();
+        let chartData = await loadChart();
+        let issues    = ChartValidator.validate(chartData);
+        let snapshot  = SnapshotStore.record(region, uid, zone, chartData, { stamp: await dataStamp });
 
-        document.title = chartData.title;
-        document.getElementById('chart-title').textContent    = chartData.title;
-        document.getElementById('chart-subtitle').textContent = chartData.subtitle;
+        const titleEl = document.getElementById('chart-title');
+        function showHeading() {
+            document.title = chartData.title;
+            titleEl.textContent = chartData.title;
+            titleEl.insertAdjacentHTML('beforeend', ` ${ChartValidator.buildBadge(issues)}`);
+            const subtitleEl = document.getElementById('chart-subtitle');
+            subtitleEl.textContent = chartData.subtitle;
+            subtitleEl.insertAdjacentHTML('beforeend', ` ${DataFreshness.buildBadge(DataFreshness.describe(chartData))}`);
+        }
+        showHeading();
+        DataFreshness.subscribe(showHeading);
         document.getElementById('incident-link').href         = `incident.html#${region}/${uid}`;
         document.getElementById('chart-footer').innerHTML     = ChartRenderer.buildFooterNote(zone);
 
-        ChartRenderer.render(
-            document.getElementById('chart-canvas'),
-            chartData,
-            { maintainAspectRatio: false }
-        );
+        let chart = null;
+        function draw() {
+            chart?.destroy();
+            chart = ChartRenderer.render(
+                document.getElementById('chart-canvas'),
+                chartData,
+                {
+                    maintainAspectRatio: false,
+                    issues,
+                    previous:    snapshot.previous?.chartData ?? null,
+                    onAxisClick: ({ axis }) => AxisDrilldown.open({ region, uid, zone, axis, chartData }),
+                }
+            );
+        }
+        draw();
+        ChartRenderer.mountThemeToggle(document.querySelector('.back-nav'), draw);
+
+        // A new publish updates the chart in place; a failed fetch keeps the old data, marked stale.
+        LiveRefresh.start({
+            initialStamp: dataStamp,
+            onPublish: async (stamp, { retry }) => {
+                if (!retry) AxisDrilldown.reset();
+                titleEl.parentElement.querySelector('.stale-indicator')?.remove();
+                try {
+                    chartData = await loadChart({ refresh: true });
+                } catch (err) {
+                    titleEl.insertAdjacentHTML('afterend',
+                        `<span class="stale-indicator" title="Refresh failed: ${SafeHtml.escape(err.message)}">Stale – showing previous data</span>`);
+                    return false;
+                }
+                issues   = ChartValidator.validate(chartData);
+                snapshot = SnapshotStore.record(region, uid, zone, chartData, { stamp });
+                showHeading();
+                ChartRenderer.update(chart, chartData, { issues, previous: snapshot.previous?.chartData ?? null });
+                return true;
+            },
+        });
+
+        const exportRow = document.getElementById('export-row');
+        const entries   = () => [{ source: `${region}/${uid}`, zone, chartData }];
+        // Named at click time, since a live refresh can retitle the chart.
+        const filename  = () => ChartExport.slugify(chartData.title);
+        exportRow.innerHTML = ChartExport.buildMenuHtml({ label: '⤓ Export', title: 'Export this chart' });
+        const panels    = () => [{
+            chart,
+            title:    chartData.title,
+            subtitle: chartData.subtitle,
+            footer:   ChartRenderer.buildFooterNote(zone),
+        }];
+        ChartExport.wireMenu(exportRow, {
+            png:  () => ChartExport.exportPng(panels(), { filename: filename() }),
+            svg:  () => ChartExport.exportSvg(panels(), { filename: filename() }),
+            csv:  () => ChartExport.exportCsv(entries(), filename()),
+            json: () => ChartExport.exportJson(entries(), filename()),
+        });
 
     } catch (err) {
-        document.getElementById('chart-body').innerHTML =
-            `<div class="state-error">Failed to load chart data: ${err.message}</div>`;
+        chartBody.innerHTML =
+            `<div class="state-error">Failed to load chart data: ${SafeHtml.escape(err.message)}</div>`;
     }
 
 })();
@@ -18,6 +18,46 @@
  * {value, metric} objects. Metric descriptions are provided by the Python
  * backend via the LABEL_METRICS configuration — this module contains no
  * domain-specific unit or label knowledge.
+ *
+ * Overlay mode
+ * ------------
+ * renderOverlay() draws several payloads (different incidents and/or zones)
+ * as colored datasets on one radar with a legend. Null handling is applied
+ * per dataset; an axis label is grayed only when all datasets are null.
+ *
+ * Change tracking
+ * ---------------
+ * render() accepts a previous payload of the same chart and draws it as a
+ * dashed ghost polygon; tooltips then add the raw (or score) delta per axis.
+ *
+ * Accessibility
+ * -------------
+ * Every radar gets a companion element after its canvas wrapper: an ARIA
+ * description naming the highest and unassessed axes, a live region, and a
+ * collapsible data table (axis, score, raw value, metric). The canvas is
+ * focusable; arrow keys step through the axes, showing the tooltip and
+ * announcing its text. Null axes carry a ⊘ mark on their label, so they are not
+ * signaled by color alone. The "contrast" theme is a high-contrast,
+ * colorblind-safe (Okabe–Ito) palette with dash patterns per overlay series
+ * and a hatched null baseline; the reader's choice is kept in localStorage.
+ *
+ * Axis clicks
+ * -----------
+ * Pass { onAxisClick } to render()/renderOverlay() to make the axes clickable:
+ * a data point, or the label area beyond the outer ring, calls it with the
+ * axis label (see AxisDrilldown). Enter on a keyboard-focused axis does the same.
+ *
+ * Live updates
+ * ------------
+ * update() and updateOverlay() swap new payloads into an existing chart in
+ * place (see LiveRefresh). Axes whose score or raw value changed are ringed
+ * and their labels highlighted for a few seconds.
+ *
+ * SVG export
+ * ----------
+ * toSvg() redraws a rendered radar as SVG from the chart's own geometry and
+ * resolved colors (see ChartExport). Points are drawn as circles whatever
+ * their point style; the dash patterns still tell overlay series apart.
  */
 const ChartRenderer = (() => {
 
@@ -35,18 +75,129 @@ const ChartRenderer = (() => {
     const COLOR_LABEL_NULL   = '#3d4a5c';   // muted; visually indicates missing data
     const COLOR_NULL_BASELINE = 'rgba(51, 65, 85, 0.8)'; // inner polygon fill for all-null baseline
 
+    const HIGHLIGHT_MS = 4000;   // how long changed axes stay highlighted after an update
+    const NULL_MARK = '⊘';   // prefixed to null axis labels so "not assessed" never relies on color
+    const THEME_KEY = 'chart-theme';
+
+    // Okabe–Ito colors: distinguishable under the common forms of color blindness.
+    const CONTRAST_OVERLAY_COLORS = [
+        ['rgba(230, 159, 0, 0.2)',   '#e69f00'],
+        ['rgba(86, 180, 233, 0.2)',  '#56b4e9'],
+        ['rgba(0, 158, 115, 0.2)',   '#009e73'],
+        ['rgba(240, 228, 66, 0.2)',  '#f0e442'],
+        ['rgba(213, 94, 0, 0.2)',    '#d55e00'],
+        ['rgba(204, 121, 167, 0.2)', '#cc79a7'],
+    ];
 
-    // Human-readable display names for zone IDs.
-    const ZONE_LABELS = {
-        '0_mile_buffer': 'Perimeter or Reported Location',
-        '1_mile_buffer': '1 Mile Buffer',
-        '3_mile_buffer': '3 Mile Buffer',
-        '5_mile_buffer': '5 Mile Buffer',
+    // Color themes. "screen" is the dark site palette; "print" is a light palette
+    // for white paper (report.html). Pass { theme } to render()/renderOverlay().
+    const THEMES = {
+        screen: {
+            dataFill:     COLOR_DATA_FILL,
+            dataBorder:   COLOR_DATA_BORDER,
+            dataPoint:    COLOR_DATA_POINT,
+            grid:         COLOR_GRID,
+            angleLine:    COLOR_ANGLE_LINE,
+            tick:         COLOR_TICK,
+            label:        COLOR_LABEL,
+            labelNull:    COLOR_LABEL_NULL,
+            nullBaseline: COLOR_NULL_BASELINE,
+            ghost:        'rgba(148, 163, 184, 0.75)',
+            highlight:    '#facc15',
+            animation:    { duration: 300 },
+        },
+        print: {
+            dataFill:     'rgba(37, 99, 235, 0.15)',
+            dataBorder:   'rgba(29, 78, 216, 1)',
+            dataPoint:    'rgba(29, 78, 216, 1)',
+            grid:         'rgba(148, 163, 184, 0.6)',
+            angleLine:    'rgba(148, 163, 184, 0.8)',
+            tick:         '#475569',
+            label:        '#0f172a',
+            labelNull:    '#b6bfcc',
+            nullBaseline: 'rgba(226, 232, 240, 0.9)',
+            ghost:        'rgba(71, 85, 105, 0.8)',
+            highlight:    '#b45309',
+            animation:    false,
+        },
+        contrast: {
+            dataFill:     'rgba(230, 159, 0, 0.25)',
+            dataBorder:   '#e69f00',
+            dataPoint:    '#e69f00',
+            grid:         'rgba(226, 232, 240, 0.35)',
+            angleLine:    'rgba(226, 232, 240, 0.5)',
+            tick:         '#e2e8f0',
+            label:        '#ffffff',
+            labelNull:    '#a3acb9',
+            nullBaseline: 'rgba(226, 232, 240, 0.45)',
+            nullPattern:  true,
+            ghost:        '#56b4e9',
+            highlight:    '#ffffff',
+            overlay:      CONTRAST_OVERLAY_COLORS,
+            dashes:       [[], [8, 4], [2, 3], [10, 3, 2, 3], [4, 4], [1, 2]],
+            pointStyles:  ['circle', 'rect', 'triangle', 'rectRot', 'star', 'crossRot'],
+            animation:    { duration: 300 },
+        },
+    };
+
+    // Themes a reader can choose for on-screen charts (print is for report.html only).
+    const THEME_LABELS = {
+        screen:   'Standard',
+        contrast: 'High contrast',
     };
 
-    // Builds the footer note HTML for a given zone ID.
-    function buildFooterNote(zoneId) {
-        const label = ZONE_LABELS[zoneId] || zoneId;
+    function getPreferredTheme() {
+        let stored = null;
+        try {
+            stored = localStorage.getItem(THEME_KEY);
+        } catch {
+            // Blocked storage (e.g. a sandboxed embed) falls back to the default theme.
+            return 'screen';
+        }
+        if (stored in THEME_LABELS) return stored;
+        return window.matchMedia?.('(prefers-contrast: more)').matches ? 'contrast' : 'screen';
+    }
+
+    function setPreferredTheme(theme) {
+        try {
+            localStorage.setItem(THEME_KEY, theme in THEME_LABELS ? theme : 'screen');
+        } catch {
+            // The choice then lasts only for this page.
+        }
+    }
+
+    /**
+     * Add a theme <select> to a container (usually the site header nav).
+     * onChange() should redraw the page's charts; render() picks up the new theme.
+     */
+    function mountThemeToggle(container, onChange) {
+        const select = document.createElement('select');
+        select.className = 'theme-select';
+        select.setAttribute('aria-label', 'Chart colors');
+        Object.entries(THEME_LABELS).forEach(([value, label]) => select.add(new Option(label, value)));
+        select.value = getPreferredTheme();
+        select.addEventListener('change', () => {
+            setPreferredTheme(select.value);
+            onChange();
+        });
+        container.appendChild(select);
+    }
+
+
+    // Builds the footer note HTML for a given zone ID, named from ZoneManifest
+    // unless a zone label is passed. When the scores were recomputed in the
+    // browser (see ChartScaling), the note names that scale and peer group
+    // instead of the published statewide log scale.
+    function buildFooterNote(zoneId, scaling = null, zoneLabel = ZoneManifest.label(zoneId)) {
+        const label = SafeHtml.escape(zoneLabel);
+        if (scaling && scaling.scale !== 'published') {
+            const scaleText = scaling.scale === 'linear'
+                ? 'linearly scaled'
+                : `<a href="https://www.mathsisfun.com/definitions/logarithmic-scale.html" `
+                    + `target="_blank" rel="noopener noreferrer">log-scaled</a>`;
+            return `Scores are ${scaleText} per axis in your browser, relative to the highest raw value in the `
+                + `<strong>${label} zone</strong> among <strong>${SafeHtml.escape(scaling.label)}</strong> fires.`;
+        }
         return `Scores are <a href="https://www.mathsisfun.com/definitions/logarithmic-scale.html" `
             + `target="_blank" rel="noopener noreferrer">log-scaled</a> per axis, relative to the highest value in the `
             + `<strong>${label} zone</strong> for current wildfires.`;
@@ -61,6 +212,20 @@ const ChartRenderer = (() => {
         return Object.values(payload).find(v => typeof v === 'string') ?? null;
     }
 
+    // Incident name from a payload title, e.g. "554-Leisure Lake: 1 Mile Buffer" → "554-Leisure Lake".
+    function incidentNameFromTitle(title) {
+        return String(title).split(':')[0].trim();
+    }
+
+    // Splits a payload subtitle such as "Attributes Updated: September 17, 13:21 AKDT"
+    // into { label, value }. Subtitles without a "label:" prefix are returned as the value.
+    function parseSubtitle(subtitle) {
+        const match = /^([^:]+):\s*(.+)$/.exec(String(subtitle ?? '').trim());
+        return match
+            ? { label: match[1].trim(), value: match[2].trim() }
+            : { label: '', value: String(subtitle ?? '').trim() };
+    }
+
     function wrapPointLabel(text) {
         if (text.length <= MAX_LABEL_CHARS) return text;
         const words = text.split(' ');
@@ -116,36 +281,105 @@ const ChartRenderer = (() => {
      * @param {number}  scoreValue - The log-normalized score (0-100)
      * @param {boolean} isNull     - Whether the value was originally null
      * @param {Object|null} rawData - The full raw dict from the chart JSON (nullable)
+     * @param {Object|null} [scaling] - ChartScaling description when scores were recomputed
      * @returns {string|string[]} Single line or multi-line array for Chart.js tooltip
      */
-    function buildTooltipLabel(label, scoreValue, isNull, rawData) {
+    function buildTooltipLabel(label, scoreValue, isNull, rawData, scaling = null) {
         if (isNull) return 'No data available';
 
-        const scoreLine = `• Score: ${scoreValue.toFixed(1)} / 100`;
+        const baseline  = scaling && scaling.scale !== 'published' ? ` (${scaling.scale} vs ${scaling.label})` : '';
+        const scoreLine = `• Score: ${scoreValue.toFixed(1)} / 100${baseline}`;
 
         if (!rawData || !(label in rawData)) return scoreLine;
 
-        const rawEntry = rawData[label];
-        if (rawEntry === null || rawEntry === undefined) return scoreLine;
+        const formatted = describeRaw(rawData[label]);
+        return formatted ? [`• ${formatted}`, scoreLine] : scoreLine;
+    }
+
+    /**
+     * Whether an axis score was assessed; null and missing scores were not.
+     */
+    function isAssessed(score) {
+        return score !== null && score !== undefined;
+    }
+
+    /**
+     * The {value, metric} entries of a raw entry: the entry itself for a simple
+     * metric, each sub-value for a composite, none when the entry is missing.
+     */
+    function rawParts(rawEntry) {
+        if (rawEntry === null || rawEntry === undefined) return [];
+        return Array.isArray(rawEntry) ? rawEntry : [rawEntry];
+    }
+
+    /**
+     * Format a raw entry — a {value, metric} object or an array of them for
+     * composite metrics — as a single display string.
+     * Returns null when the entry is missing or holds no non-null values.
+     */
+    function describeRaw(rawEntry) {
+        if (rawEntry === null || rawEntry === undefined) return null;
 
         // Array of sub-values (composite metrics).
         if (Array.isArray(rawEntry)) {
             const parts = rawEntry.map(formatRawEntry).filter(Boolean);
-            return parts.length > 0
-                ? [`• ${parts.join(' | ')}`, scoreLine]
-                : scoreLine;
+            return parts.length > 0 ? parts.join(' | ') : null;
         }
 
         // Single {value, metric} object.
-        const formatted = formatRawEntry(rawEntry);
-        return formatted ? [`• ${formatted}`, scoreLine] : scoreLine;
+        return formatRawEntry(rawEntry);
+    }
+
+    function formatSigned(value) {
+        const formatted = formatNumber(Math.abs(value));
+        return value > 0 ? `+${formatted}` : value < 0 ? `−${formatted}` : '±0';
+    }
+
+    // "87 → 112 structures, +25" for one {value, metric} pair; null when unchanged.
+    function describeRawChange(before, after) {
+        const prev = before?.value ?? null;
+        const next = after?.value ?? null;
+        if (prev === next) return null;
+        const metric = after?.metric || before?.metric || '';
+        const suffix = metric ? ` ${metric}` : '';
+        const delta  = typeof prev === 'number' && typeof next === 'number' ? `, ${formatSigned(next - prev)}` : '';
+        return `${formatNumber(prev)} → ${formatNumber(next)}${suffix}${delta}`;
+    }
+
+    /**
+     * Describe how one axis changed between two payloads of the same chart.
+     * Raw values are compared first (one line per changed sub-metric); when no
+     * raw value changed but the score did, a score line is returned instead.
+     *
+     * @param {string} label
+     * @param {Object} current  - current chart payload
+     * @param {Object} previous - earlier chart payload
+     * @returns {string[]} e.g. ["FEMA Structures: 87 → 112 structures, +25"]; empty when unchanged
+     */
+    function describeChange(label, current, previous) {
+        const rawNow  = current.raw?.[label];
+        const rawPrev = previous.raw?.[label];
+        const partsNow  = Array.isArray(rawNow)  ? rawNow  : [rawNow];
+        const partsPrev = Array.isArray(rawPrev) ? rawPrev : [rawPrev];
+
+        const rawLines = Array.from({ length: Math.max(partsNow.length, partsPrev.length) }, (_, i) =>
+            describeRawChange(partsPrev[i], partsNow[i])
+        ).filter(Boolean).map(line => `${label}: ${line}`);
+        if (rawLines.length > 0) return rawLines;
+
+        const scoreNow  = current.data[label] ?? null;
+        const scorePrev = previous.data?.[label] ?? null;
+        if (scoreNow === scorePrev) return [];
+        const fmt   = v => v === null ? 'N/A' : v.toFixed(1);
+        const delta = scoreNow !== null && scorePrev !== null ? ` (${formatSigned(+(scoreNow - scorePrev).toFixed(1))})` : '';
+        return [`${label}: score ${fmt(scorePrev)} → ${fmt(scoreNow)}${delta}`];
     }
 
     // Draws a filled polygon at the value-0 ring before datasets are rendered.
     // This gives the null-baseline inner area a distinct background color.
     const nullBaselinePlugin = {
         id: 'nullBaseline',
-        beforeDatasetsDraw(chart) {
+        beforeDatasetsDraw(chart, args, options) {
             const scale = chart.scales.r;
             if (!scale) return;
             const numPoints   = chart.data.labels.length;
@@ -159,99 +393,839 @@ const ChartRenderer = (() => {
                 else         ctx.lineTo(pos.x, pos.y);
             }
             ctx.closePath();
-            ctx.fillStyle = COLOR_NULL_BASELINE;
+            ctx.fillStyle = options.pattern
+                ? hatchPattern(ctx, options.color)
+                : options.color || COLOR_NULL_BASELINE;
             ctx.fill();
             ctx.restore();
         },
     };
 
+    // Diagonal hatching, so the null baseline reads as "no data" without relying on its color.
+    function hatchPattern(ctx, color) {
+        const tile = document.createElement('canvas');
+        tile.width = tile.height = 6;
+        const tileCtx = tile.getContext('2d');
+        tileCtx.strokeStyle = color;
+        tileCtx.lineWidth   = 1;
+        tileCtx.beginPath();
+        tileCtx.moveTo(0, 6);
+        tileCtx.lineTo(6, 0);
+        tileCtx.stroke();
+        return ctx.createPattern(tile, 'repeat');
+    }
+
+    // Per-chart state for in-place updates: { palette, labels, datasets, highlighted, highlightTimer }.
+    const liveState = new WeakMap();
+
+    // Rings the points of recently changed axes (see update()).
+    const changeHighlightPlugin = {
+        id: 'changeHighlight',
+        afterDatasetsDraw(chart, args, options) {
+            const highlighted = liveState.get(chart)?.highlighted;
+            if (!highlighted?.size) return;
+            const { ctx } = chart;
+            ctx.save();
+            ctx.strokeStyle = options.color;
+            ctx.lineWidth   = 2;
+            chart.data.datasets.forEach((dataset, datasetIndex) => {
+                if (dataset.isGhost) return;
+                const points = chart.getDatasetMeta(datasetIndex).data;
+                highlighted.forEach(index => {
+                    const point = points[index];
+                    if (!point) return;
+                    ctx.beginPath();
+                    ctx.arc(point.x, point.y, 8, 0, 2 * Math.PI);
+                    ctx.stroke();
+                });
+            });
+            ctx.restore();
+        },
+    };
+
+    // Overlay palette: one [fill, border/point] pair per dataset, cycled when exhausted.
+    // The first entry matches the single-chart blue so a one-item overlay looks unchanged.
+    const OVERLAY_COLORS = [
+        ['rgba(59, 130, 246, 0.18)',  'rgba(59, 130, 246, 1)'],
+        ['rgba(249, 115, 22, 0.18)',  'rgba(249, 115, 22, 1)'],
+        ['rgba(34, 197, 94, 0.18)',   'rgba(34, 197, 94, 1)'],
+        ['rgba(217, 70, 239, 0.18)',  'rgba(217, 70, 239, 1)'],
+        ['rgba(234, 179, 8, 0.18)',   'rgba(234, 179, 8, 1)'],
+        ['rgba(20, 184, 166, 0.18)',  'rgba(20, 184, 166, 1)'],
+    ];
+
+    /**
+     * Build a Chart.js radar dataset for one payload aligned to the given labels.
+     * Axes missing from the payload are treated the same as null values.
+     */
+    function buildDataset(chartData, labels, { fill, border, point }, issues = []) {
+        const scoreValues = labels.map(label => chartData.data[label] ?? null);
+        const nullFlags   = scoreValues.map(v => v === null);
+
+        // Null axes with a data-quality issue stay hoverable so the issue can be read.
+        const hitFlags    = labels.map((label, i) => !nullFlags[i] || issues.some(entry => entry.axis === label));
+
+        // Null values render at origin (0) so the polygon stays closed.
+        // pointRadius = 0 hides the dot, making null visually distinct from an actual 0 value.
+        const pointColors = nullFlags.map(n => n ? 'transparent' : point);
+
+        return {
+            data:                 scoreValues.map(v => v === null ? 0 : v),
+            fill:                 { value: 0 },
+            backgroundColor:      fill,
+            borderColor:          border,
+            borderWidth:          1.5,
+            pointBackgroundColor: pointColors,
+            pointBorderColor:     pointColors,
+            pointRadius:          nullFlags.map(n => n ? 0 : 4),
+            pointHoverRadius:     nullFlags.map(n => n ? 0 : 6),
+            pointHitRadius:       hitFlags.map(h => h ? 8 : 0),
+            scoreValues,
+            nullFlags,
+            rawData:              chartData.raw || null,
+            scaling:              chartData.scaling || null,
+            issues,
+        };
+    }
+
+    // Tooltip lines for the data-quality issues on one axis (see ChartValidator).
+    function buildIssueLines(issues, label) {
+        return issues
+            .filter(entry => entry.axis === label)
+            .map(entry => `${entry.level === 'error' ? '✖' : '⚠'} ${entry.message}`);
+    }
+
+    // Full tooltip body for one point of a dataset: score/raw lines, any change
+    // since the previous snapshot, then any issue lines.
+    function buildPointTooltip(dataset, labels, i) {
+        const lines = [].concat(buildTooltipLabel(
+            labels[i],
+            dataset.scoreValues[i],
+            dataset.nullFlags[i],
+            dataset.rawData,
+            dataset.scaling,
+        ));
+        const changes = dataset.previous
+            ? describeChange(labels[i], dataset.current, dataset.previous).map(line => `Δ ${line}`)
+            : [];
+        return [...lines, ...changes, ...buildIssueLines(dataset.issues, labels[i])];
+    }
+
+    // Dashed outline of a previous snapshot, drawn under the current polygon.
+    // It has no points or hit area, so tooltips always belong to the current data.
+    function buildGhostDataset(previous, labels, palette) {
+        return {
+            data:             labels.map(label => previous.data?.[label] ?? 0),
+            fill:             false,
+            borderColor:      palette.ghost,
+            borderWidth:      1.25,
+            borderDash:       [5, 4],
+            pointRadius:      0,
+            pointHoverRadius: 0,
+            pointHitRadius:   0,
+            order:            1,
+            isGhost:          true,
+        };
+    }
+
+    function buildRadarScale(isNullLabel, palette, isChanged = () => false) {
+        return {
+            min: -25,
+            max:  SCALE_MAX,
+            ticks: {
+                stepSize:      SCALE_STEP,
+                color:         palette.tick,
+                backdropColor: 'transparent',
+                font:          { size: 9 },
+                callback:      v => v < 0 ? '' : `${v}`,
+            },
+            grid: { color: ctx => ctx.tick.value < 0 ? 'transparent' : palette.grid },
+            angleLines: { color: palette.angleLine },
+            pointLabels: {
+                color:    ctx => isChanged(ctx.index) ? palette.highlight
+                    : isNullLabel(ctx.index) ? palette.labelNull : palette.label,
+                font:     ctx => ({ size: 10, weight: isChanged(ctx.index) ? 'bold' : undefined }),
+                callback: (label, index) => wrapPointLabel(isNullLabel(index) ? `${NULL_MARK} ${label}` : label),
+            },
+        };
+    }
+
+    // ── Accessibility companion ────────────────────────────────────
+
+    let companionCount = 0;
+
+    /**
+     * One-sentence summary of a payload for screen readers: the three highest
+     * scoring axes and the axes that were not assessed.
+     */
+    function describeChart(chartData) {
+        const entries  = Object.entries(chartData.data);
+        const assessed = entries
+            .filter(([, score]) => score !== null && score !== undefined)
+            .sort((a, b) => b[1] - a[1]);
+        const missing  = entries
+            .filter(([, score]) => score === null || score === undefined)
+            .map(([label]) => label);
+
+        const highest = assessed.length > 0
+            ? `Highest: ${assessed.slice(0, 3).map(([label, score]) => `${label} ${score.toFixed(1)}`).join(', ')}.`
+            : 'No axis was assessed.';
+        return missing.length > 0 ? `${highest} Not assessed: ${missing.join(', ')}.` : highest;
+    }
+
+    // Tooltip lines without their "• " bullets, for speech.
+    function plainLines(lines) {
+        return lines.map(line => line.replace(/^\s*•\s*/, ''));
+    }
+
+    function cell(tag, text, attrs = {}) {
+        const el = document.createElement(tag);
+        el.textContent = text;
+        Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+        return el;
+    }
+
+    // Table of every axis: one row per raw sub-metric (composite axes span rows).
+    // Built with textContent so payload strings are never parsed as HTML.
+    function buildDataTable(datasets, labels) {
+        const overlay = datasets.length > 1;
+        const table   = document.createElement('table');
+        const head    = table.createTHead().insertRow();
+        [...(overlay ? ['Chart'] : []), 'Axis', 'Score', 'Raw value', 'Metric']
+            .forEach(text => head.appendChild(cell('th', text, { scope: 'col' })));
+
+        const body = table.createTBody();
+        datasets.forEach(dataset => {
+            labels.forEach((label, i) => {
+                const rawEntry = dataset.rawData?.[label];
+                const parts    = Array.isArray(rawEntry) ? rawEntry : [rawEntry ?? null];
+                const score    = dataset.nullFlags[i] ? `${NULL_MARK} Not assessed` : dataset.scoreValues[i].toFixed(1);
+                parts.forEach((part, index) => {
+                    const row = body.insertRow();
+                    if (index === 0) {
+                        const span = { rowspan: String(parts.length) };
+                        if (overlay) row.appendChild(cell('td', dataset.label, span));
+                        row.appendChild(cell('th', label, { ...span, scope: 'row' }));
+                        row.appendChild(cell('td', score, span));
+                    }
+                    row.appendChild(cell('td', part ? formatNumber(part.value) : '—'));
+                    row.appendChild(cell('td', part?.metric || '—'));
+                });
+            });
+        });
+        return table;
+    }
+
+    /**
+     * Mount the accessible companion for a chart and wire keyboard stepping.
+     * Returns { refresh, cleanup }: refresh({ name, description }) re-reads the
+     * (mutated) labels and datasets after an update; cleanup runs on destroy.
+     *
+     * @param {Chart}    chart
+     * @param {Object}   spec
+     * @param {string}   spec.name        - accessible name, e.g. the payload title
+     * @param {string}   spec.description - from describeChart()
+     * @param {string[]} spec.labels
+     * @param {Object[]} spec.datasets    - buildDataset() results to tabulate and activate
+     * @param {(i: number) => string[]} spec.announce - lines spoken for axis i
+     * @param {boolean}  spec.table       - include the data table
+     * @param {Function} [spec.onAxisClick] - called with { axis, datasetIndex: null } on Enter
+     */
+    function attachCompanion(chart, { name, description, labels, datasets, announce, table, onAxisClick }) {
+        const canvas = chart.canvas;
+        const id     = `chart-a11y-${++companionCount}`;
+
+        const companion = document.createElement('div');
+        companion.className = 'chart-a11y';
+        const descriptionEl = cell('p', '', { id: `${id}-desc`, class: 'visually-hidden' });
+        const live = cell('p', '', { class: 'visually-hidden', 'aria-live': 'polite' });
+        companion.append(descriptionEl, live);
+
+        let details = null;
+        if (table) {
+            details = document.createElement('details');
+            details.className = 'chart-data-table';
+            details.appendChild(cell('summary', 'Data table'));
+            companion.appendChild(details);
+        }
+
+        (canvas.parentElement ?? canvas).after(companion);
+
+        canvas.tabIndex = 0;
+        canvas.setAttribute('role', 'application');
+        canvas.setAttribute('aria-roledescription', 'radar chart');
+        canvas.setAttribute('aria-describedby', `${id}-desc`);
+
+        function refresh(next) {
+            canvas.setAttribute('aria-label', next.name);
+            descriptionEl.textContent = `${next.description} Use the arrow keys to step through the axes`
+                + (onAxisClick ? ' and Enter to open details for one.' : '.');
+            details?.querySelector('table')?.remove();
+            details?.appendChild(buildDataTable(datasets, labels));
+        }
+        refresh({ name, description });
+
+        let focused = -1;
+
+        function focusAxis(i) {
+            focused = i;
+            const active = datasets
+                .map(dataset => ({ datasetIndex: chart.data.datasets.indexOf(dataset), index: i }));
+            const point  = chart.getDatasetMeta(active[0].datasetIndex).data[i];
+            chart.setActiveElements(active);
+            chart.tooltip.setActiveElements(active, { x: point.x, y: point.y });
+            chart.update();
+            live.textContent = `${labels[i]}: ${plainLines(announce(i)).join('; ')}`;
+        }
+
+        function clearFocus() {
+            if (focused === -1) return;
+            focused = -1;
+            chart.setActiveElements([]);
+            chart.tooltip.setActiveElements([], { x: 0, y: 0 });
+            chart.update();
+        }
+
+        const controller = new AbortController();
+        canvas.addEventListener('keydown', e => {
+            const count = labels.length;
+            let next;
+            if (e.key === 'ArrowRight' || e.key === 'ArrowDown') next = (focused + 1) % count;
+            else if (e.key === 'ArrowLeft' || e.key === 'ArrowUp') next = (focused - 1 + count) % count;
+            else if (e.key === 'Home') next = 0;
+            else if (e.key === 'End')  next = count - 1;
+            else if (e.key === 'Escape') return clearFocus();
+            else if (e.key === 'Enter' && onAxisClick && focused !== -1) {
+                return onAxisClick({ axis: labels[focused], datasetIndex: null });
+            }
+            else return;
+            e.preventDefault();
+            focusAxis(next);
+        }, { signal: controller.signal });
+        canvas.addEventListener('blur', clearFocus, { signal: controller.signal });
+
+        function cleanup() {
+            controller.abort();
+            companion.remove();
+            ['tabindex', 'role', 'aria-roledescription', 'aria-label', 'aria-describedby']
+                .forEach(attr => canvas.removeAttribute(attr));
+        }
+
+        return { refresh, cleanup };
+    }
+
+    // ── Axis hit testing ───────────────────────────────────────────
+
+    const LABEL_HIT_MARGIN = 60;   // px beyond the outer ring that still counts as an axis label
+
+    /**
+     * The axis under a pointer event: a (non-ghost) data point first, else the
+     * axis whose direction is closest when the pointer is in the label ring.
+     *
+     * @returns {{ index: number, datasetIndex: number|null }|null}
+     */
+    function axisAt(chart, event) {
+        const [point] = chart.getElementsAtEventForMode(event, 'nearest', { intersect: true }, false)
+            .filter(el => !chart.data.datasets[el.datasetIndex].isGhost);
+        if (point) return { index: point.index, datasetIndex: point.datasetIndex };
+
+        const scale    = chart.scales.r;
+        const dx       = event.x - scale.xCenter;
+        const dy       = event.y - scale.yCenter;
+        const distance = Math.hypot(dx, dy);
+        if (distance < scale.drawingArea || distance > scale.drawingArea + LABEL_HIT_MARGIN) return null;
+
+        const angle = Math.atan2(dy, dx);
+        let best = null;
+        chart.data.labels.forEach((_, i) => {
+            const pos  = scale.getPointPosition(i, scale.drawingArea);
+            const diff = Math.abs(Math.atan2(Math.sin(angle - pos.angle), Math.cos(angle - pos.angle)));
+            if (!best || diff < best.diff) best = { index: i, diff };
+        });
+        return best && { index: best.index, datasetIndex: null };
+    }
+
+    // Chart.js options that route clicks to onAxisClick and show a pointer over axes.
+    function axisClickOptions(labels, onAxisClick) {
+        if (!onAxisClick) return {};
+        return {
+            onClick: (event, _elements, chart) => {
+                const hit = axisAt(chart, event);
+                if (hit) onAxisClick({ axis: labels[hit.index], datasetIndex: hit.datasetIndex });
+            },
+            onHover: (event, _elements, chart) => {
+                chart.canvas.style.cursor = axisAt(chart, event) ? 'pointer' : '';
+            },
+        };
+    }
+
+    // Per-chart plugin that registers the chart's live state, mounts the
+    // companion once the chart exists, and removes both on destroy().
+    function livePlugin(state, spec) {
+        return {
+            id: 'liveChart',
+            beforeInit(chart) {
+                liveState.set(chart, state);
+            },
+            afterInit(chart) {
+                state.companion = attachCompanion(chart, spec);
+            },
+            afterDestroy() {
+                clearTimeout(state.highlightTimer);
+                state.companion?.cleanup();
+            },
+        };
+    }
+
+    function buildSingleDataset(chartData, labels, palette, issues, previous) {
+        return {
+            ...buildDataset(chartData, labels, {
+                fill:   palette.dataFill,
+                border: palette.dataBorder,
+                point:  palette.dataPoint,
+            }, issues),
+            current: chartData,
+            previous,
+            order:   0,
+        };
+    }
+
+    function overlayLabels(series) {
+        return [...new Set(series.flatMap(s => Object.keys(s.chartData.data)))];
+    }
+
+    // Themes with dash patterns and point styles vary those too, so series differ by more than hue.
+    function buildOverlayDatasets(series, labels, palette) {
+        const colors = palette.overlay || OVERLAY_COLORS;
+        return series.map((s, i) => {
+            const [fill, border] = colors[i % colors.length];
+            return {
+                ...buildDataset(s.chartData, labels, { fill, border, point: border }, s.issues),
+                label:   s.label,
+                current: s.chartData,
+                ...(palette.dashes && { borderDash: palette.dashes[i % palette.dashes.length] }),
+                ...(palette.pointStyles && { pointStyle: palette.pointStyles[i % palette.pointStyles.length] }),
+            };
+        });
+    }
+
+    function describeOverlay(series) {
+        return {
+            name:        `Overlay of ${series.map(s => s.label).join(', ')}`,
+            description: series.map(s => `${s.label}: ${describeChart(s.chartData)}`).join(' '),
+        };
+    }
+
     /**
      * Render a radar chart into the given canvas element.
      *
      * @param {HTMLCanvasElement} canvas
      * @param {{ title: string, subtitle: string, data: Object, raw?: Object }} chartData
-     * @param {{ maintainAspectRatio?: boolean }} [options]
+     * @param {{ maintainAspectRatio?: boolean, issues?: Object[], theme?: string, previous?: Object, table?: boolean }} [options]
+     *        issues   - ChartValidator results; shown in the tooltip of the affected axis
+     *        theme    - key of THEMES; defaults to the reader's choice (see mountThemeToggle)
+     *        previous - an earlier payload of the same chart (see SnapshotStore); drawn
+     *                   as a dashed ghost polygon, with per-axis deltas in the tooltip
+     *        table    - add the collapsible data table below the chart (default true)
+     *        onAxisClick - ({ axis, datasetIndex }) => void; makes axes clickable (see "Axis clicks")
      * @returns {Chart} the Chart.js instance
      */
-    function render(canvas, chartData, { maintainAspectRatio = true } = {}) {
-        const labels      = Object.keys(chartData.data);
-        const scoreValues = Object.values(chartData.data);
-        const rawData     = chartData.raw || null;
-        const nullFlags   = scoreValues.map(v => v === null);
-
-        // Null values render at origin (0) so the polygon stays closed.
-        // pointRadius = 0 hides the dot, making null visually distinct from an actual 0 value.
-        const displayValues   = scoreValues.map(v => v === null ? 0 : v);
-        const pointColors     = nullFlags.map(n => n ? 'transparent' : COLOR_DATA_POINT);
-        const pointRadii      = nullFlags.map(n => n ? 0 : 4);
-        const pointHoverRadii = nullFlags.map(n => n ? 0 : 6);
-        const pointHitRadii   = nullFlags.map(n => n ? 0 : 8);
+    function render(canvas, chartData, {
+        maintainAspectRatio = true, issues = [], theme = getPreferredTheme(), previous = null, table = true,
+        onAxisClick = null,
+    } = {}) {
+        const palette = THEMES[theme] || THEMES.screen;
+        const labels  = Object.keys(chartData.data);
+        const dataset = buildSingleDataset(chartData, labels, palette, issues, previous);
+        const datasets = previous ? [dataset, buildGhostDataset(previous, labels, palette)] : [dataset];
+        const state    = { palette, labels, datasets: [dataset], highlighted: new Set(), highlightTimer: null };
 
         const chart = new Chart(canvas, {
             type: 'radar',
             data: {
                 labels,
+                datasets,
+            },
+            options: {
+                responsive:          true,
+                maintainAspectRatio: maintainAspectRatio,
+                animation:           palette.animation,
+                ...axisClickOptions(labels, onAxisClick),
+                plugins: {
+                    nullBaseline: { color: palette.nullBaseline, pattern: palette.nullPattern },
+                    changeHighlight: { color: palette.highlight },
+                    legend: { display: false },
+                    tooltip: {
+                        displayColors: false,
+                        filter:        item => !item.dataset.isGhost,
+                        callbacks: {
+                            title: items  => labels[items[0].dataIndex],
+                            label: item   => buildPointTooltip(dataset, labels, item.dataIndex),
+                        },
+                    },
+                },
+                scales: {
+                    r: buildRadarScale(i => dataset.nullFlags[i], palette, i => state.highlighted.has(i)),
+                },
+            },
+            plugins: [nullBaselinePlugin, changeHighlightPlugin, livePlugin(state, {
+                name:        chartData.title,
+                description: describeChart(chartData),
+                labels,
+                datasets:    [dataset],
+                announce:    i => buildPointTooltip(dataset, labels, i),
+                table,
+                onAxisClick,
+            })],
+        });
+
+        return chart;
+    }
+
+    /**
+     * Render several payloads as colored datasets on one radar chart.
+     *
+     * Axis labels are the union of all payloads in first-seen order. Each dataset
+     * keeps the single-chart null semantics (no dot at null axes); an axis label is
+     * grayed out only when every dataset is null on it. Tooltips prefix each value
+     * with its series label so overlapping points can be told apart.
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {{ label: string, chartData: Object, issues?: Object[] }[]} series
+     * @param {{ maintainAspectRatio?: boolean, theme?: string, table?: boolean, onAxisClick?: Function }} [options]
+     *        onAxisClick - as for render(); datasetIndex is the series clicked, or null for a label
+     * @returns {Chart} the Chart.js instance
+     */
+    function renderOverlay(canvas, series, {
+        maintainAspectRatio = true, theme = getPreferredTheme(), table = true, onAxisClick = null,
+    } = {}) {
+        const palette  = THEMES[theme] || THEMES.screen;
+        const labels   = overlayLabels(series);
+        const datasets = buildOverlayDatasets(series, labels, palette);
+        const state    = { palette, labels, datasets, highlighted: new Set(), highlightTimer: null };
+
+        const chart = new Chart(canvas, {
+            type: 'radar',
+            data: { labels, datasets },
+            options: {
+                responsive:          true,
+                maintainAspectRatio: maintainAspectRatio,
+                animation:           palette.animation,
+                interaction:         { mode: 'index', intersect: false },
+                ...axisClickOptions(labels, onAxisClick),
+                plugins: {
+                    nullBaseline: { color: palette.nullBaseline, pattern: palette.nullPattern },
+                    changeHighlight: { color: palette.highlight },
+                    legend: {
+                        display:  true,
+                        position: 'bottom',
+                        labels: {
+                            color:         palette.label,
+                            boxWidth:      12,
+                            font:          { size: 10 },
+                            usePointStyle: Boolean(palette.pointStyles),
+                        },
+                    },
+                    tooltip: {
+                        callbacks: {
+                            title: items  => labels[items[0].dataIndex],
+                            label: item   => {
+                                const dataset = datasets[item.datasetIndex];
+                                const detail  = buildPointTooltip(dataset, labels, item.dataIndex);
+                                return [dataset.label, ...detail.map(line => `   ${line}`)];
+                            },
+                        },
+                    },
+                },
+                scales: {
+                    r: buildRadarScale(i => datasets.every(d => d.nullFlags[i]), palette, i => state.highlighted.has(i)),
+                },
+            },
+            plugins: [nullBaselinePlugin, changeHighlightPlugin, livePlugin(state, {
+                ...describeOverlay(series),
+                labels,
+                datasets,
+                announce:    i => datasets.map(dataset =>
+                    `${dataset.label}: ${plainLines(buildPointTooltip(dataset, labels, i)).join(', ')}`),
+                table,
+                onAxisClick,
+            })],
+        });
+
+        return chart;
+    }
+
+    // ── In-place updates ───────────────────────────────────────────
+
+    // Labels whose score or raw entry differs between two payloads.
+    function changedLabels(before, after, labels) {
+        return labels.filter(label =>
+            (before?.data?.[label] ?? null) !== (after?.data?.[label] ?? null)
+            || JSON.stringify(before?.raw?.[label] ?? null) !== JSON.stringify(after?.raw?.[label] ?? null));
+    }
+
+    // Swaps the new labels into the chart's label array (shared with its
+    // callbacks), highlights the changed axes and redraws.
+    function applyUpdate(chart, state, labels, changed, spec) {
+        state.labels.splice(0, state.labels.length, ...labels);
+        state.highlighted = new Set(changed.map(label => labels.indexOf(label)));
+        clearTimeout(state.highlightTimer);
+        if (state.highlighted.size > 0) {
+            state.highlightTimer = setTimeout(() => {
+                state.highlighted = new Set();
+                if (chart.canvas) chart.update();
+            }, HIGHLIGHT_MS);
+        }
+        state.companion?.refresh(spec);
+        chart.update();
+    }
+
+    /**
+     * Replace the payload of a chart made by render(), keeping the instance.
+     * Options are those of render(); theme and table stay as first rendered.
+     *
+     * @param {Chart}  chart
+     * @param {Object} chartData
+     * @param {{ issues?: Object[], previous?: Object }} [options]
+     * @returns {string[]} the labels of the axes that changed
+     */
+    function update(chart, chartData, { issues = [], previous = null } = {}) {
+        const state   = liveState.get(chart);
+        const dataset = state.datasets[0];
+        const labels  = Object.keys(chartData.data);
+        const changed = changedLabels(dataset.current, chartData, labels);
+
+        Object.assign(dataset, buildSingleDataset(chartData, labels, state.palette, issues, previous));
+        chart.data.datasets = previous ? [dataset, buildGhostDataset(previous, labels, state.palette)] : [dataset];
+        applyUpdate(chart, state, labels, changed, { name: chartData.title, description: describeChart(chartData) });
+        return changed;
+    }
+
+    /**
+     * Replace the series of a chart made by renderOverlay(), keeping the instance.
+     *
+     * @param {Chart} chart
+     * @param {{ label: string, chartData: Object, issues?: Object[] }[]} series
+     * @returns {string[]} the labels of the axes that changed in any series
+     */
+    function updateOverlay(chart, series) {
+        const state   = liveState.get(chart);
+        const labels  = overlayLabels(series);
+        const changed = [...new Set(series.flatMap((s, i) =>
+            changedLabels(state.datasets[i]?.current, s.chartData, labels)))];
+
+        // Dataset objects are kept where they exist: the tooltip and companion hold references to them.
+        const next = buildOverlayDatasets(series, labels, state.palette);
+        next.forEach((dataset, i) => {
+            if (state.datasets[i]) Object.assign(state.datasets[i], dataset);
+            else                   state.datasets.push(dataset);
+        });
+        state.datasets.length = next.length;
+        applyUpdate(chart, state, labels, changed, describeOverlay(series));
+        return changed;
+    }
+
+    /**
+     * Render a small line chart of one raw metric against buffer distance.
+     * Null values leave a gap in the line rather than dropping to zero, so
+     * "not assessed" stays distinct from "nothing found".
+     *
+     * @param {HTMLCanvasElement} canvas
+     * @param {{ metric: string, points: { distance: number, label: string, value: number|null }[] }} series
+     * @returns {Chart} the Chart.js instance
+     */
+    function renderRawProgression(canvas, { metric, points }) {
+        const chart = new Chart(canvas, {
+            type: 'line',
+            data: {
                 datasets: [{
-                    data:                 displayValues,
-                    fill:                 { value: 0 },
-                    backgroundColor:      COLOR_DATA_FILL,
+                    data:                 points.map(p => ({ x: p.distance, y: p.value })),
                     borderColor:          COLOR_DATA_BORDER,
+                    backgroundColor:      COLOR_DATA_FILL,
+                    pointBackgroundColor: COLOR_DATA_POINT,
                     borderWidth:          1.5,
-                    pointBackgroundColor: pointColors,
-                    pointBorderColor:     pointColors,
-                    pointRadius:          pointRadii,
-                    pointHoverRadius:     pointHoverRadii,
-                    pointHitRadius:       pointHitRadii,
+                    pointRadius:          3,
+                    fill:                 true,
+                    spanGaps:             false,
                 }],
             },
             options: {
                 responsive:          true,
-                maintainAspectRatio: maintainAspectRatio,
+                maintainAspectRatio: false,
                 animation:           { duration: 300 },
                 plugins: {
                     legend: { display: false },
                     tooltip: {
                         displayColors: false,
                         callbacks: {
-                            title: items  => labels[items[0].dataIndex],
-                            label: item   => {
-                                const i = item.dataIndex;
-                                return buildTooltipLabel(
-                                    labels[i],
-                                    scoreValues[i],
-                                    nullFlags[i],
-                                    rawData,
-                                );
-                            },
+                            title: items => points[items[0].dataIndex].label,
+                            label: item  => `• ${formatRawEntry({ value: item.parsed.y, metric }) ?? 'No data available'}`,
                         },
                     },
                 },
                 scales: {
-                    r: {
-                        min: -25,
-                        max:  SCALE_MAX,
+                    x: {
+                        type:  'linear',
+                        min:   0,
+                        max:   Math.max(...points.map(p => p.distance)),
                         ticks: {
-                            stepSize:      SCALE_STEP,
-                            color:         COLOR_TICK,
-                            backdropColor: 'transparent',
-                            font:          { size: 9 },
-                            callback:      v => v < 0 ? '' : `${v}`,
+                            color:    COLOR_TICK,
+                            font:     { size: 9 },
+                            callback: v => points.some(p => p.distance === v) ? `${v} mi` : '',
+                            stepSize: 1,
                         },
-                        grid: { color: ctx => ctx.tick.value < 0 ? 'transparent' : COLOR_GRID },
-                        angleLines: { color: COLOR_ANGLE_LINE },
-                        pointLabels: {
-                            color:    ctx => nullFlags[ctx.index] ? COLOR_LABEL_NULL : COLOR_LABEL,
-                            font:     { size: 10 },
-                            callback: wrapPointLabel,
+                        grid: { color: COLOR_GRID },
+                    },
+                    y: {
+                        beginAtZero: true,
+                        ticks: {
+                            color:    COLOR_TICK,
+                            font:     { size: 9 },
+                            callback: formatNumber,
                         },
+                        grid: { color: COLOR_GRID },
                     },
                 },
             },
-            plugins: [nullBaselinePlugin],
         });
 
         return chart;
     }
 
-    return { render, ZONE_LABELS, buildFooterNote, extractDatetime };
+    // ── SVG export ─────────────────────────────────────────────────
+
+    let svgCount = 0;   // keeps pattern ids unique when one SVG file holds several charts
+
+    function svgPoints(points) {
+        return points.map(p => `${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+    }
+
+    function svgDash(dash) {
+        return dash?.length ? ` stroke-dasharray="${dash.join(' ')}"` : '';
+    }
+
+    /**
+     * Vector copy of a rendered radar chart: rings, spokes, the null baseline,
+     * axis and tick labels, each dataset's polygon and points, and the overlay
+     * legend, in the chart's CSS pixel coordinates (chart.width × chart.height).
+     *
+     * @param {Chart} chart
+     * @returns {string|null} an SVG <g> element, or null for charts other than radars
+     */
+    function toSvg(chart) {
+        const scale = chart.scales.r;
+        if (chart.config.type !== 'radar' || !scale) return null;
+
+        const esc   = SafeHtml.escape;
+        const count = chart.data.labels.length;
+        const ring  = value => Array.from({ length: count }, (_, i) => scale.getPointPositionForValue(i, value));
+        const parts = [];
+
+        const baseline      = chart.options.plugins.nullBaseline || {};
+        const baselineColor = baseline.color || COLOR_NULL_BASELINE;
+        let   baselineFill  = baselineColor;
+        if (baseline.pattern) {
+            const id = `null-hatch-${++svgCount}`;
+            parts.push(`<defs><pattern id="${id}" width="6" height="6" patternUnits="userSpaceOnUse">`
+                + `<path d="M0 6L6 0" stroke="${esc(baselineColor)}" stroke-width="1"/></pattern></defs>`);
+            baselineFill = `url(#${id})`;
+        }
+        parts.push(`<polygon points="${svgPoints(ring(0))}" fill="${esc(baselineFill)}"/>`);
+
+        scale.ticks.forEach((tick, index) => {
+            if (tick.value < 0) return;
+            const grid = scale.options.grid.setContext(scale.getContext(index));
+            parts.push(`<polygon points="${svgPoints(ring(tick.value))}" fill="none" `
+                + `stroke="${esc(grid.color)}" stroke-width="${grid.lineWidth}"/>`);
+        });
+
+        for (let i = 0; i < count; i++) {
+            const lines = scale.options.angleLines.setContext(scale.getPointLabelContext(i));
+            const outer = scale.getPointPositionForValue(i, scale.max);
+            parts.push(`<line x1="${scale.xCenter.toFixed(1)}" y1="${scale.yCenter.toFixed(1)}" `
+                + `x2="${outer.x.toFixed(1)}" y2="${outer.y.toFixed(1)}" stroke="${esc(lines.color)}" stroke-width="${lines.lineWidth}"/>`);
+        }
+
+        const ticks = scale.options.ticks;
+        scale.ticks.forEach(tick => {
+            if (!tick.label) return;
+            parts.push(`<text x="${scale.xCenter.toFixed(1)}" y="${(scale.yCenter - scale.getDistanceFromCenterForValue(tick.value)).toFixed(1)}" `
+                + `dy="0.35em" text-anchor="middle" font-size="${ticks.font.size}" fill="${esc(ticks.color)}">${esc(tick.label)}</text>`);
+        });
+
+        // Labels sit just beyond the outer ring, anchored away from the center.
+        const pointLabels = scale.options.pointLabels;
+        chart.data.labels.forEach((label, i) => {
+            const opts       = pointLabels.setContext(scale.getPointLabelContext(i));
+            const lines      = [].concat(pointLabels.callback.call(scale, label, i));
+            const size       = opts.font.size;
+            const lineHeight = size * 1.2;
+            const pos        = scale.getPointPosition(i, scale.drawingArea + opts.padding + 4);
+            const dx         = pos.x - scale.xCenter;
+            const dy         = pos.y - scale.yCenter;
+            const anchor     = Math.abs(dx) < 1 ? 'middle' : dx > 0 ? 'start' : 'end';
+            const top        = Math.abs(dy) < 1 ? pos.y - lines.length * lineHeight / 2
+                : dy < 0 ? pos.y - lines.length * lineHeight : pos.y;
+            lines.forEach((line, k) => {
+                parts.push(`<text x="${pos.x.toFixed(1)}" y="${(top + (k + 0.5) * lineHeight).toFixed(1)}" dy="0.35em" `
+                    + `text-anchor="${anchor}" font-size="${size}"${opts.font.weight ? ` font-weight="${opts.font.weight}"` : ''} `
+                    + `fill="${esc(opts.color)}">${esc(line)}</text>`);
+            });
+        });
+
+        // Chart.js draws the sorted datasets last to first.
+        chart.getSortedVisibleDatasetMetas().slice().reverse().forEach(meta => {
+            const line    = meta.dataset.options;
+            const polygon = svgPoints(meta.data);
+            if (chart.data.datasets[meta.index].fill !== false) {
+                // Filled between the polygon and the value-0 ring, as Chart.js does with fill: { value: 0 }.
+                parts.push(`<path d="M${polygon}Z M${svgPoints(ring(0))}Z" fill-rule="evenodd" `
+                    + `fill="${esc(line.backgroundColor)}"/>`);
+            }
+            parts.push(`<polygon points="${polygon}" fill="none" stroke="${esc(line.borderColor)}" `
+                + `stroke-width="${line.borderWidth}"${svgDash(line.borderDash)}/>`);
+            meta.data.forEach(point => {
+                const { radius, backgroundColor, borderColor, borderWidth } = point.options;
+                if (!(radius > 0)) return;
+                parts.push(`<circle cx="${point.x.toFixed(1)}" cy="${point.y.toFixed(1)}" r="${radius}" `
+                    + `fill="${esc(backgroundColor)}" stroke="${esc(borderColor)}" stroke-width="${borderWidth}"/>`);
+            });
+        });
+
+        if (chart.options.plugins.legend?.display && chart.legend?.legendItems) {
+            const labels = chart.options.plugins.legend.labels;
+            chart.legend.legendItems.forEach((item, i) => {
+                const box = chart.legend.legendHitBoxes[i];
+                if (!box) return;
+                const middle = box.top + box.height / 2;
+                parts.push(`<rect x="${box.left.toFixed(1)}" y="${(middle - 5).toFixed(1)}" width="${labels.boxWidth}" height="10" `
+                    + `fill="${esc(item.fillStyle)}" stroke="${esc(item.strokeStyle)}"${svgDash(item.lineDash)}/>`);
+                parts.push(`<text x="${(box.left + labels.boxWidth + 6).toFixed(1)}" y="${middle.toFixed(1)}" dy="0.35em" `
+                    + `font-size="${labels.font.size}" fill="${esc(labels.color)}">${esc(item.text)}</text>`);
+            });
+        }
+
+        return `<g font-family="${esc(Chart.defaults.font.family)}">${parts.join('')}</g>`;
+    }
+
+    return {
+        render,
+        renderOverlay,
+        update,
+        updateOverlay,
+        renderRawProgression,
+        THEME_LABELS,
+        getPreferredTheme,
+        mountThemeToggle,
+        describeChart,
+        buildFooterNote,
+        extractDatetime,
+        describeRaw,
+        isAssessed,
+        rawParts,
+        incidentNameFromTitle,
+        parseSubtitle,
+        describeChange,
+        toSvg,
+    };
 })();
@@ -0,0 +1,107 @@
+/**
+ * ChartScaling - recompute axis scores in the browser from the shipped raw values.
+ *
+ * The published scores in each payload's "data" block are log-scaled against
+ * the highest value statewide for that zone. rescale() replaces them with
+ * scores computed against a different peer group and/or on a linear scale.
+ *
+ * Scales
+ * ------
+ *   log     score = 100 · ln(1 + v) / ln(1 + max)
+ *   linear  score = 100 · v / max
+ * where max is the largest raw value for that axis (and sub-metric) among the
+ * baseline payloads. When max is 0 every assessed value scores 0. Log scaling
+ * against the statewide set reproduces the published scores for simple axes.
+ *
+ * Null and missing values
+ * -----------------------
+ *   - A raw value of null means "not assessed" and stays a null score.
+ *   - Axes with no raw entry keep their published score (nothing to rescale).
+ *
+ * Composite axes
+ * --------------
+ * Axes whose raw entry is an array (e.g. Critical Infrastructure: feet and
+ * features) are scored per sub-metric against that sub-metric's own maximum,
+ * and the axis score is the mean of the assessed sub-scores. If every
+ * sub-value is null the axis is null.
+ */
+const ChartScaling = (() => {
+
+    const SCALES = {
+        published: 'Published',
+        log:       'Log',
+        linear:    'Linear',
+    };
+
+    const BASELINES = {
+        statewide: 'Statewide',
+        region:    'Region',
+        dashboard: 'Dashboard',
+    };
+
+    function rawValues(rawEntry) {
+        const parts = Array.isArray(rawEntry) ? rawEntry : [rawEntry];
+        return parts.map(part => (part && Number.isFinite(part.value) ? part.value : null));
+    }
+
+    /**
+     * Per-axis maxima over a set of payloads: { [axis]: number[] }, one
+     * maximum per sub-metric index (a single entry for simple axes).
+     */
+    function buildBaseline(payloads) {
+        const maxima = {};
+        for (const chartData of payloads) {
+            for (const [axis, rawEntry] of Object.entries(chartData.raw || {})) {
+                const values = rawValues(rawEntry);
+                const max    = (maxima[axis] ||= []);
+                values.forEach((value, i) => {
+                    if (value !== null) max[i] = Math.max(max[i] ?? 0, value);
+                });
+            }
+        }
+        return maxima;
+    }
+
+    function scaleValue(value, max, scale) {
+        if (value === null || max === undefined) return null;
+        if (max <= 0) return 0;
+        const score = scale === 'linear'
+            ? 100 * value / max
+            : 100 * Math.log1p(value) / Math.log1p(max);
+        return Math.min(100, Math.max(0, score));
+    }
+
+    /**
+     * Return a copy of the payload with "data" rescaled against the baseline.
+     * The copy carries a "scaling" description that ChartRenderer shows in the
+     * footer note and tooltips. scale 'published' returns the payload unchanged.
+     *
+     * @param {Object} chartData
+     * @param {Object} baseline - from buildBaseline()
+     * @param {{ scale: string, baseline: string, label: string }} scaling
+     *        label names the peer group, e.g. "statewide" or "FAS region"
+     * @returns {Object}
+     */
+    function rescale(chartData, baseline, scaling) {
+        if (!scaling || scaling.scale === 'published') return chartData;
+
+        const data = {};
+        for (const [axis, published] of Object.entries(chartData.data)) {
+            const rawEntry = chartData.raw?.[axis];
+            if (rawEntry === undefined || rawEntry === null) {
+                data[axis] = published;
+                continue;
+            }
+            const scores = rawValues(rawEntry)
+                .map((value, i) => scaleValue(value, baseline[axis]?.[i], scaling.scale))
+                .filter(score => score !== null);
+            data[axis] = scores.length > 0
+                ? scores.reduce((sum, score) => sum + score, 0) / scores.length
+                : null;
+        }
+
+        return { ...chartData, data, scaling };
+    }
+
+    return { SCALES, BASELINES, buildBaseline, rescale };
+})();
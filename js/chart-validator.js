@@ -0,0 +1,148 @@
+/**
+ * ChartValidator - schema and consistency checks for zone chart payloads.
+ *
+ * Shared by the browser pages (as the ChartValidator global) and by Node
+ * (require('./js/chart-validator.js')), so the publishing pipeline and the
+ * site apply exactly the same rules. See scripts/validate-data.js for the
+ * command-line walker over the data/ tree. Badge markup is escaped with
+ * SafeHtml, which pages load first and Node requires alongside this file.
+ *
+ * Payload schema
+ * --------------
+ *   {
+ *     title:    string,
+ *     subtitle: string,
+ *     data:     { [axis]: number (0–100) | null },
+ *     raw?:     { [axis]: RawEntry | RawEntry[] }   // arrays = composite metrics
+ *   }
+ *   RawEntry = { value: number | null, metric: string }
+ *
+ * Issues
+ * ------
+ * validate() returns a flat list of { level, axis, message } objects.
+ *   - "error":   the payload does not match the schema and may not render correctly
+ *   - "warning": the payload renders, but score and raw values disagree
+ * axis is null for payload-level issues.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory(require('./safe-html.js'));
+    else root.ChartValidator = factory(root.SafeHtml);
+})(typeof self !== 'undefined' ? self : this, SafeHtml => {
+
+    const SCORE_MIN = 0;
+    const SCORE_MAX = 100;
+
+    function isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+
+    function issue(level, axis, message) {
+        return { level, axis, message };
+    }
+
+    // Checks one {value, metric} entry; returns issue messages (empty when valid).
+    function checkRawEntry(entry) {
+        if (!isPlainObject(entry))                        return ['raw entry must be a {value, metric} object'];
+        const problems = [];
+        if (!('value' in entry))                          problems.push('raw entry is missing "value"');
+        else if (entry.value !== null && !Number.isFinite(entry.value)) {
+            problems.push('raw value must be a number or null');
+        }
+        if (typeof entry.metric !== 'string')             problems.push('raw entry "metric" must be a string');
+        return problems;
+    }
+
+    function rawEntries(rawEntry) {
+        return Array.isArray(rawEntry) ? rawEntry : [rawEntry];
+    }
+
+    function hasRawValue(rawEntry) {
+        return rawEntries(rawEntry).some(entry => isPlainObject(entry) && Number.isFinite(entry.value));
+    }
+
+    /**
+     * Validate a single chart payload.
+     *
+     * @param {*} payload - parsed zone JSON
+     * @returns {{ level: 'error'|'warning', axis: string|null, message: string }[]}
+     */
+    function validate(payload) {
+        if (!isPlainObject(payload)) return [issue('error', null, 'payload must be a JSON object')];
+
+        const issues = [];
+
+        for (const key of ['title', 'subtitle']) {
+            if (typeof payload[key] !== 'string') {
+                issues.push(issue('error', null, `"${key}" must be a string`));
+            }
+        }
+
+        if (!isPlainObject(payload.data)) {
+            issues.push(issue('error', null, '"data" must be an object of axis scores'));
+            return issues;
+        }
+
+        for (const [axis, score] of Object.entries(payload.data)) {
+            if (score === null) continue;
+            if (!Number.isFinite(score)) {
+                issues.push(issue('error', axis, 'score must be a number or null'));
+            } else if (score < SCORE_MIN || score > SCORE_MAX) {
+                issues.push(issue('error', axis, `score ${score} is outside ${SCORE_MIN}–${SCORE_MAX}`));
+            }
+        }
+
+        if (payload.raw === undefined) return issues;
+        if (!isPlainObject(payload.raw)) {
+            issues.push(issue('error', null, '"raw" must be an object keyed by axis'));
+            return issues;
+        }
+
+        for (const axis of Object.keys(payload.data)) {
+            if (!(axis in payload.raw)) issues.push(issue('warning', axis, 'no raw entry for this axis'));
+        }
+
+        for (const [axis, rawEntry] of Object.entries(payload.raw)) {
+            if (!(axis in payload.data)) {
+                issues.push(issue('warning', axis, 'raw entry has no matching score axis'));
+                continue;
+            }
+
+            if (Array.isArray(rawEntry) && rawEntry.length === 0) {
+                issues.push(issue('error', axis, 'composite raw entry must not be empty'));
+                continue;
+            }
+
+            const shapeProblems = rawEntries(rawEntry).flatMap(checkRawEntry);
+            if (shapeProblems.length > 0) {
+                [...new Set(shapeProblems)].forEach(message => issues.push(issue('error', axis, message)));
+                continue;
+            }
+
+            const score = payload.data[axis];
+            if (score === null && hasRawValue(rawEntry)) {
+                issues.push(issue('warning', axis, 'score is null but a raw value is present'));
+            } else if (Number.isFinite(score) && !hasRawValue(rawEntry)) {
+                issues.push(issue('warning', axis, 'score is present but every raw value is null'));
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Build the warning badge HTML for a card header. Returns '' when there are
+     * no issues. The full issue list is in the title attribute.
+     */
+    function buildBadge(issues) {
+        if (issues.length === 0) return '';
+        const hasError = issues.some(entry => entry.level === 'error');
+        const summary  = SafeHtml.escape(issues
+            .map(entry => `${entry.axis ? `${entry.axis}: ` : ''}${entry.message}`)
+            .join('\n'));
+        const label    = `${issues.length} data ${issues.length === 1 ? 'issue' : 'issues'}`;
+        return `<span class="data-issue-badge${hasError ? ' is-error' : ''}" title="${summary}" aria-label="${label}">`
+            + `⚠ ${issues.length}</span>`;
+    }
+
+    return { validate, buildBadge };
+});
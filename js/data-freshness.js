@@ -0,0 +1,227 @@
+/**
+ * DataFreshness - parses the pipeline's update times and flags stale charts.
+ *
+ * Time formats
+ * ------------
+ * Payload subtitles and last_updated.json carry Alaska local times without a
+ * year, e.g. "Perimeter Updated: September 18, 07:56 AKDT" or
+ * "March 04, 15:51 AKST". AKDT is UTC−8 and AKST UTC−9; a year may be given
+ * ("September 18, 2025, 07:56 AKDT"). Without one, the latest year that does
+ * not put the time more than a day after the reference time (now) is used,
+ * so a September stamp read in March belongs to the previous year.
+ *
+ * Update kinds
+ * ------------
+ *   perimeter   "Perimeter Updated: …" — the buffers follow a mapped perimeter
+ *   attributes  "Attributes Updated: …" — no perimeter; the buffers are drawn
+ *               around the reported location and only the attributes changed
+ * An old perimeter means the buffers may no longer match the fire, so each
+ * kind has its own staleness threshold in days. Thresholds live in
+ * localStorage; views subscribe() and redraw their badges when they change,
+ * including changes made in another tab.
+ */
+const DataFreshness = (() => {
+
+    const THRESHOLDS_KEY     = 'freshness-thresholds';
+    const DEFAULT_THRESHOLDS = { perimeter: 3, attributes: 2 };   // days
+    const KIND_LABELS        = { perimeter: 'Perimeter', attributes: 'Attributes', other: 'Updated' };
+
+    const HOUR_MS = 60 * 60 * 1000;
+    const DAY_MS  = 24 * HOUR_MS;
+
+    const ZONE_OFFSETS = { AKDT: -8, AKST: -9, UTC: 0, GMT: 0 };   // hours from UTC
+    const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+    // "September 18, 07:56 AKDT", "Sep 18 2025, 07:56 AKDT"
+    const TIMESTAMP_RE = /^([A-Za-z]+)\.?\s+(\d{1,2})(?:,?\s+(\d{4}))?,?\s+(\d{1,2}):(\d{2})\s*([A-Za-z]+)$/;
+
+    const listeners = new Set();
+
+    // ── Parsing ────────────────────────────────────────────────────
+
+    /**
+     * Parse an Alaska-time stamp into a Date.
+     *
+     * @param {string} text
+     * @param {{ reference?: Date }} [options] - the time the year is inferred against
+     * @returns {Date|null} null when the text is not in a recognized format
+     */
+    function parseTimestamp(text, { reference = new Date() } = {}) {
+        const match = TIMESTAMP_RE.exec(String(text ?? '').trim());
+        if (!match) return null;
+
+        const [, monthName, day, year, hour, minute, zone] = match;
+        const month  = MONTHS.indexOf(monthName.slice(0, 3).toLowerCase());
+        const offset = ZONE_OFFSETS[zone.toUpperCase()];
+        if (month === -1 || offset === undefined) return null;
+
+        const at = y => new Date(Date.UTC(y, month, Number(day), Number(hour) - offset, Number(minute)));
+        if (year) return at(Number(year));
+
+        const guess = at(reference.getUTCFullYear());
+        return guess.getTime() - reference.getTime() > DAY_MS ? at(reference.getUTCFullYear() - 1) : guess;
+    }
+
+    function kindOf(label) {
+        if (/perimeter/i.test(label)) return 'perimeter';
+        if (/attribute/i.test(label)) return 'attributes';
+        return 'other';
+    }
+
+    // "under an hour", "5 hours", "3 days", "2 weeks", "7 months"
+    function formatAge(ms) {
+        const count = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+        if (ms < HOUR_MS)      return 'under an hour';
+        if (ms < DAY_MS)       return count(Math.floor(ms / HOUR_MS), 'hour');
+        if (ms < 14 * DAY_MS)  return count(Math.floor(ms / DAY_MS), 'day');
+        if (ms < 60 * DAY_MS)  return count(Math.floor(ms / (7 * DAY_MS)), 'week');
+        return count(Math.floor(ms / (30 * DAY_MS)), 'month');
+    }
+
+    /**
+     * Freshness of one payload, from its subtitle.
+     *
+     * @param {{ subtitle?: string }} chartData
+     * @param {{ now?: Date, thresholds?: Object }} [options]
+     * @returns {{
+     *   kind: 'perimeter'|'attributes'|'other', label: string, text: string,
+     *   updatedAt: Date|null, ageMs: number|null, thresholdDays: number|null, stale: boolean,
+     * }} updatedAt is null (and stale false) when the subtitle has no parseable time
+     */
+    function describe(chartData, { now = new Date(), thresholds = getThresholds() } = {}) {
+        const { label, value } = ChartRenderer.parseSubtitle(chartData?.subtitle);
+        const kind      = kindOf(label);
+        const updatedAt = parseTimestamp(value, { reference: now });
+        const ageMs     = updatedAt ? Math.max(0, now - updatedAt) : null;
+        const thresholdDays = thresholds[kind] ?? null;
+        return {
+            kind,
+            label,
+            text: value,
+            updatedAt,
+            ageMs,
+            thresholdDays,
+            stale: ageMs !== null && thresholdDays !== null && ageMs > thresholdDays * DAY_MS,
+        };
+    }
+
+    /**
+     * Badge markup, e.g. "Perimeter 3 days old"; stale badges carry a warning.
+     * Returns '' when the update time could not be read.
+     *
+     * @param {Object} freshness - from describe()
+     */
+    function buildBadge(freshness) {
+        if (!freshness.updatedAt) return '';
+        const age   = formatAge(freshness.ageMs);
+        const title = `${freshness.label || 'Updated'}: ${freshness.text}`
+            + (freshness.stale ? ` — older than the ${freshness.thresholdDays}-day threshold` : '');
+        return `<span class="freshness-badge${freshness.stale ? ' is-stale' : ''}" title="${SafeHtml.escape(title)}">`
+            + `${freshness.stale ? '⚠ ' : ''}${KIND_LABELS[freshness.kind]} ${age} old</span>`;
+    }
+
+    // Shows the publish stamp in a "Last Updated" element, with its age as a tooltip.
+    function showStamp(el, datetime) {
+        if (!el || !datetime) return;
+        el.textContent = `Last Updated: ${datetime}`;
+        const publishedAt = parseTimestamp(datetime);
+        el.title = publishedAt ? `Published ${formatAge(Math.max(0, Date.now() - publishedAt))} ago` : '';
+    }
+
+    // ── Thresholds ─────────────────────────────────────────────────
+
+    function getThresholds() {
+        let stored = {};
+        try {
+            stored = JSON.parse(localStorage.getItem(THRESHOLDS_KEY)) || {};
+        } catch {
+            // Malformed or unavailable storage falls back to the defaults.
+        }
+        return Object.fromEntries(Object.entries(DEFAULT_THRESHOLDS).map(([kind, days]) => {
+            const value = Number(stored[kind]);
+            return [kind, Number.isFinite(value) && value > 0 ? value : days];
+        }));
+    }
+
+    function setThresholds(thresholds) {
+        try {
+            localStorage.setItem(THRESHOLDS_KEY, JSON.stringify({ ...getThresholds(), ...thresholds }));
+        } catch (err) {
+            console.warn('Could not save staleness thresholds:', err);
+            return;
+        }
+        notify();
+    }
+
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    // Calls listener() whenever the thresholds change.
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    window.addEventListener('storage', e => {
+        if (e.key === THRESHOLDS_KEY) notify();
+    });
+
+    /**
+     * Render the threshold settings (days per update kind) into a container.
+     *
+     * @param {HTMLElement} container
+     */
+    function mountPanel(container) {
+        container.innerHTML = `
+            <details>
+                <summary>Staleness thresholds: <span class="freshness-active"></span></summary>
+                <div class="freshness-body">
+                    ${Object.keys(DEFAULT_THRESHOLDS).map(kind => `
+                        <label>
+                            ${kind === 'perimeter' ? 'Perimeter older than' : 'Attribute-only update older than'}
+                            <input type="number" min="0.5" step="0.5" data-kind="${kind}"> days
+                        </label>
+                    `).join('')}
+                    <p class="freshness-rule">
+                        Charts past their threshold get a ⚠ badge. An old perimeter means the buffers may
+                        no longer match the fire; attribute-only incidents have no perimeter and are
+                        buffered around the reported location.
+                    </p>
+                </div>
+            </details>
+        `;
+
+        const inputs = [...container.querySelectorAll('input[data-kind]')];
+
+        function refresh() {
+            const thresholds = getThresholds();
+            container.querySelector('.freshness-active').textContent =
+                `perimeter ${thresholds.perimeter} d · attributes ${thresholds.attributes} d`;
+            inputs.forEach(input => {
+                if (input !== document.activeElement) input.value = thresholds[input.dataset.kind];
+            });
+        }
+
+        container.addEventListener('change', () => {
+            setThresholds(Object.fromEntries(inputs.map(input => [input.dataset.kind, Number(input.value)])));
+        });
+
+        subscribe(refresh);
+        refresh();
+        container.hidden = false;
+    }
+
+    return {
+        DEFAULT_THRESHOLDS,
+        parseTimestamp,
+        formatAge,
+        describe,
+        buildBadge,
+        showStamp,
+        getThresholds,
+        setThresholds,
+        subscribe,
+        mountPanel,
+    };
+})();
@@ -0,0 +1,339 @@
+/**
+ * DataSource - where chart data is read from, so an unpublished pipeline run
+ * can be checked in the same UI before it goes live.
+ *
+ * Sources
+ * -------
+ *   published  the site's own data/ directory (default)
+ *   url        another base URL holding the same layout, e.g. a staging bucket
+ *   local      a folder or .zip of pipeline output chosen or dropped by the user
+ *
+ * All paths are relative to the data root ("incident_map.json",
+ * "<region>/<uid>/<zone>.json"). The choice is kept in localStorage so every
+ * page and tab uses the same source; switching reloads the page. A local
+ * bundle is copied into a Cache Storage cache (BUNDLE_CACHE) so pages opened
+ * later can still read it. Its root is the folder holding incident_map.json.
+ *
+ * Zip support reads stored and deflated entries with DecompressionStream;
+ * ZIP64 archives are not supported.
+ *
+ * The header shows the active source on every page, with the controls to
+ * change it. Anything other than published data is labeled as a preview.
+ */
+const DataSource = (() => {
+
+    const CONFIG_KEY    = 'data-source';
+    const BUNDLE_CACHE  = 'local-bundle';
+    const BUNDLE_PREFIX = '/__local-bundle__/';
+    const MAP_FILE      = 'incident_map.json';
+
+    // ── Configuration ──────────────────────────────────────────────
+
+    function getConfig() {
+        try {
+            const config = JSON.parse(localStorage.getItem(CONFIG_KEY));
+            if (config?.kind === 'url' || config?.kind === 'local') return config;
+        } catch {
+            // Fall through to the published data.
+        }
+        return { kind: 'published' };
+    }
+
+    function setConfig(config) {
+        try {
+            if (config.kind === 'published') localStorage.removeItem(CONFIG_KEY);
+            else                             localStorage.setItem(CONFIG_KEY, JSON.stringify(config));
+        } catch {
+            throw new Error('The data source could not be saved: browser storage is full or unavailable');
+        }
+    }
+
+    function isPublished() {
+        return getConfig().kind === 'published';
+    }
+
+    function describe(config = getConfig()) {
+        if (config.kind === 'url')   return `Preview: ${config.base}`;
+        if (config.kind === 'local') return `Preview: ${config.label} (${config.files} files)`;
+        return 'Published data';
+    }
+
+    function withTrailingSlash(base) {
+        return base.endsWith('/') ? base : `${base}/`;
+    }
+
+    function bundleUrl(path) {
+        return new URL(`${BUNDLE_PREFIX}${path}`, location.origin).href;
+    }
+
+    // ── Reading ────────────────────────────────────────────────────
+
+    /**
+     * Read one JSON file from the active source.
+     *
+     * @param {string} path - relative to the data root
+     * @param {{ refresh?: boolean }} [options] - refresh bypasses the HTTP cache
+     * @returns {Promise<*>} rejects with an Error carrying the HTTP status (404 for
+     *          a file missing from a local bundle) when the file cannot be read
+     */
+    async function fetchJson(path, { refresh = false } = {}) {
+        const config = getConfig();
+
+        if (config.kind === 'local') {
+            const cache    = await caches.open(BUNDLE_CACHE);
+            const response = await cache.match(bundleUrl(path));
+            if (!response) throw Object.assign(new Error(`Not in local bundle: ${path}`), { status: 404 });
+            return response.json();
+        }
+
+        const base     = config.kind === 'url' ? withTrailingSlash(config.base) : 'data/';
+        const url      = new URL(path, new URL(base, location.href));
+        const response = await fetch(url, refresh ? { cache: 'no-cache' } : {});
+        if (!response.ok) throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+        return response.json();
+    }
+
+    // ── Local bundles ──────────────────────────────────────────────
+    //
+    // Every reader yields [{ path, blob: () => Promise<Blob> }] with "/"-separated paths.
+
+    function filesFromInput(fileList) {
+        return [...fileList].map(file => ({
+            path: file.webkitRelativePath || file.name,
+            blob: async () => file,
+        }));
+    }
+
+    async function filesFromDirectoryHandle(handle, prefix = `${handle.name}/`) {
+        const files = [];
+        for await (const entry of handle.values()) {
+            if (entry.kind === 'directory') {
+                files.push(...await filesFromDirectoryHandle(entry, `${prefix}${entry.name}/`));
+            } else {
+                files.push({ path: `${prefix}${entry.name}`, blob: () => entry.getFile() });
+            }
+        }
+        return files;
+    }
+
+    // Dropped folders arrive as FileSystemEntry trees.
+    async function filesFromEntry(entry) {
+        if (entry.isFile) {
+            return [{
+                path: entry.fullPath.replace(/^\//, ''),
+                blob: () => new Promise((resolve, reject) => entry.file(resolve, reject)),
+            }];
+        }
+        const reader   = entry.createReader();
+        const children = [];
+        // readEntries returns the listing in batches until it yields an empty one.
+        for (;;) {
+            const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            if (batch.length === 0) break;
+            children.push(...batch);
+        }
+        return (await Promise.all(children.map(filesFromEntry))).flat();
+    }
+
+    async function inflate(data, method) {
+        if (method === 0) return new Blob([data]);
+        if (method !== 8) throw new Error(`Unsupported zip compression method ${method}`);
+        return new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob();
+    }
+
+    // Reads the central directory at the end of the archive; entry data is inflated on demand.
+    async function filesFromZip(file) {
+        const buffer = await file.arrayBuffer();
+        const view   = new DataView(buffer);
+
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xffff); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw new Error(`${file.name} is not a zip file`);
+
+        const decoder = new TextDecoder();
+        const count   = view.getUint16(end + 10, true);
+        let offset    = view.getUint32(end + 16, true);
+        const files   = [];
+
+        for (let n = 0; n < count; n++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) throw new Error(`${file.name} is corrupt`);
+            const method      = view.getUint16(offset + 10, true);
+            const size        = view.getUint32(offset + 20, true);
+            const nameLength  = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const noteLength  = view.getUint16(offset + 32, true);
+            const local       = view.getUint32(offset + 42, true);
+            const path        = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            offset += 46 + nameLength + extraLength + noteLength;
+            if (path.endsWith('/')) continue;
+
+            // The local header's name and extra field lengths can differ from the central directory's.
+            const start = local + 30 + view.getUint16(local + 26, true) + view.getUint16(local + 28, true);
+            const data  = new Uint8Array(buffer, start, size);
+            files.push({ path, blob: () => inflate(data, method) });
+        }
+        return files;
+    }
+
+    /**
+     * Copy a bundle's JSON files into the bundle cache and make it the active
+     * source. The root is the shallowest folder holding incident_map.json.
+     * Resolves to the number of files stored.
+     */
+    async function loadBundle(files, label) {
+        if (!('caches' in window)) throw new Error('Local bundles need a secure (https or localhost) page');
+
+        const json = files.filter(file => file.path.endsWith('.json')
+            && !file.path.split('/').some(part => part.startsWith('.') || part === '__MACOSX'));
+        const map  = json
+            .filter(file => file.path.split('/').pop() === MAP_FILE)
+            .sort((a, b) => a.path.length - b.path.length)[0];
+        if (!map) throw new Error(`No ${MAP_FILE} found in ${label}`);
+
+        const root    = map.path.slice(0, -MAP_FILE.length);
+        const inRoot  = json.filter(file => file.path.startsWith(root));
+        JSON.parse(await (await map.blob()).text());   // fail early on a broken map
+
+        await caches.delete(BUNDLE_CACHE);
+        const cache = await caches.open(BUNDLE_CACHE);
+        await Promise.all(inRoot.map(async file => cache.put(
+            bundleUrl(file.path.slice(root.length)),
+            new Response(await file.blob(), { headers: { 'Content-Type': 'application/json' } }),
+        )));
+
+        setConfig({ kind: 'local', label, files: inRoot.length, loadedAt: new Date().toISOString() });
+        return inRoot.length;
+    }
+
+    async function usePublished() {
+        setConfig({ kind: 'published' });
+        if ('caches' in window) await caches.delete(BUNDLE_CACHE);
+    }
+
+    function useBaseUrl(base) {
+        const url = new URL(base, location.href);
+        if (!/^https?:$/.test(url.protocol)) throw new Error('The base URL must use http or https');
+        setConfig({ kind: 'url', base: withTrailingSlash(url.href) });
+    }
+
+    // ── Header control ─────────────────────────────────────────────
+
+    // Adds the source label and switcher to the page header (or the report
+    // toolbar). Any change reloads the page so every view reads the new source.
+    function mountControl() {
+        const host = document.querySelector('.site-header, .report-toolbar');
+        if (!host) return;
+
+        const config = getConfig();
+        const menu   = document.createElement('details');
+        menu.className = 'data-source-menu' + (config.kind === 'published' ? '' : ' is-preview');
+        menu.innerHTML = `
+            <summary title="Where chart data is read from"></summary>
+            <div class="data-source-panel">
+                <button type="button" data-action="published">Use published data</button>
+                <form class="data-source-url">
+                    <input type="url" placeholder="https://…/data/" aria-label="Data base URL" required>
+                    <button type="submit">Use URL</button>
+                </form>
+                <button type="button" data-action="folder">Open pipeline folder…</button>
+                <button type="button" data-action="zip">Open .zip bundle…</button>
+                <p class="data-source-hint">Or drop a folder or .zip anywhere on the page.</p>
+                <p class="data-source-status" role="status"></p>
+                <input type="file" class="data-source-folder" webkitdirectory hidden>
+                <input type="file" class="data-source-zip" accept=".zip,application/zip" hidden>
+            </div>
+        `;
+        menu.querySelector('summary').textContent = describe(config);
+        menu.querySelector('.data-source-url input').value = config.kind === 'url' ? config.base : '';
+        host.appendChild(menu);
+
+        const status = menu.querySelector('.data-source-status');
+
+        async function apply(task) {
+            status.textContent = 'Loading…';
+            try {
+                await task();
+                location.reload();
+            } catch (err) {
+                console.error('Failed to change data source:', err);
+                status.textContent = err.message;
+            }
+        }
+
+        menu.addEventListener('click', e => {
+            const action = e.target.closest('button[data-action]')?.dataset.action;
+            if (action === 'published') {
+                apply(usePublished);
+            } else if (action === 'folder') {
+                // Prefer the File System Access picker; fall back to a directory <input>.
+                if (window.showDirectoryPicker) {
+                    window.showDirectoryPicker()
+                        .then(handle => apply(async () => loadBundle(await filesFromDirectoryHandle(handle), handle.name)))
+                        .catch(err => {
+                            if (err.name !== 'AbortError') status.textContent = err.message;
+                        });
+                } else {
+                    menu.querySelector('.data-source-folder').click();
+                }
+            } else if (action === 'zip') {
+                menu.querySelector('.data-source-zip').click();
+            }
+        });
+
+        menu.querySelector('.data-source-url').addEventListener('submit', e => {
+            e.preventDefault();
+            apply(async () => useBaseUrl(e.target.querySelector('input').value.trim()));
+        });
+
+        menu.querySelector('.data-source-folder').addEventListener('change', e => {
+            const files = filesFromInput(e.target.files);
+            if (files.length === 0) return;
+            apply(() => loadBundle(files, files[0].path.split('/')[0]));
+        });
+
+        menu.querySelector('.data-source-zip').addEventListener('change', e => {
+            const [file] = e.target.files;
+            if (file) apply(async () => loadBundle(await filesFromZip(file), file.name));
+        });
+
+        // Only drags carrying files are handled, so card drag-and-drop is unaffected.
+        const carriesFiles = e => [...(e.dataTransfer?.types || [])].includes('Files');
+
+        document.addEventListener('dragover', e => {
+            if (!carriesFiles(e)) return;
+            e.preventDefault();
+            document.body.classList.add('data-drop-active');
+        });
+        document.addEventListener('dragleave', e => {
+            if (e.relatedTarget === null) document.body.classList.remove('data-drop-active');
+        });
+        document.addEventListener('drop', e => {
+            if (!carriesFiles(e)) return;
+            e.preventDefault();
+            document.body.classList.remove('data-drop-active');
+
+            const entries = [...e.dataTransfer.items]
+                .map(item => item.webkitGetAsEntry?.())
+                .filter(Boolean);
+            const [file]  = e.dataTransfer.files;
+            menu.open = true;
+
+            if (entries.length === 1 && entries[0].isDirectory) {
+                apply(async () => loadBundle(await filesFromEntry(entries[0]), entries[0].name));
+            } else if (file && /\.zip$/i.test(file.name)) {
+                apply(async () => loadBundle(await filesFromZip(file), file.name));
+            } else {
+                status.textContent = 'Drop a pipeline output folder or a .zip of it';
+            }
+        });
+    }
+
+    document.addEventListener('DOMContentLoaded', mountControl);
+
+    return { fetchJson, getConfig, isPublished, describe };
+})();
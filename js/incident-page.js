@@ -10,69 +10,385 @@
     }
 
     const [region, uid] = parts;
-    const zones = Object.keys(ChartRenderer.ZONE_LABELS);
+
+    // The link is checked against the incident map before any payload is fetched.
+    try {
+        if (!ChartData.findIncident(await ChartData.loadIncidentMap(), region, uid)) {
+            document.getElementById('quadrant-grid').innerHTML =
+                '<div class="state-error">This link does not match a published incident. '
+                + 'It may be mistyped, or the incident is no longer listed.</div>';
+            return;
+        }
+    } catch (err) {
+        document.getElementById('quadrant-grid').innerHTML =
+            `<div class="state-error">Failed to load incident map: ${SafeHtml.escape(err.message)}</div>`;
+        return;
+    }
+
+    await ZoneManifest.load();
+    const zones = ZoneManifest.ids();
+
+    document.getElementById('report-link').href = `report.html#${region}/${uid}`;
 
     // Fetch datetime and chart data concurrently.
-    const [, results] = await Promise.all([
-
-        fetch('data/last_updated.json')
-            .then(r => r.ok ? r.json() : null)
-            .then(payload => {
-                const datetime = ChartRenderer.extractDatetime(payload);
-                const el = document.getElementById('last-updated');
-                if (datetime && el) el.textContent = `Last Updated: ${datetime}`;
+    const [dataStamp, results] = await Promise.all([
+
+        ChartData.loadLastUpdated()
+            .then(datetime => {
+                DataFreshness.showStamp(document.getElementById('last-updated'), datetime);
+                return datetime;
             })
-            .catch(() => {}),
+            .catch(() => null),
 
-        Promise.allSettled(
-            zones.map(zone =>
-                fetch(`data/${region}/${uid}/${zone}.json`).then(r => {
-                    if (!r.ok) throw new Error(`HTTP ${r.status}`);
-                    return r.json();
-                })
-            )
-        ),
+        loadZones(),
 
     ]);
 
+    // Promise.allSettled-shaped, plus { status: 'absent' } for zones not produced for this incident
+    // and { status: 'skipped' } for zones the optional filter leaves out.
+    function loadZones(options, wanted = () => true) {
+        return Promise.all(zones.map((zone, i) => {
+            if (!ZoneManifest.isProduced(uid, zone)) return { status: 'absent' };
+            if (!wanted(zone, i)) return { status: 'skipped' };
+            return ChartData.loadChart(region, uid, zone, options).then(
+                value  => ({ status: 'fulfilled', value }),
+                reason => ({ status: 'rejected', reason }));
+        }));
+    }
+
+    // Snapshot each zone; the prior version (if any) is drawn as a ghost polygon.
+    const previousByZone = {};
+    results.forEach((result, i) => {
+        if (result.status !== 'fulfilled') return;
+        const snapshot = SnapshotStore.record(region, uid, zones[i], result.value, { stamp: dataStamp });
+        previousByZone[zones[i]] = snapshot.previous?.chartData ?? null;
+    });
+
     // Set page title from first successful result.
     const firstSuccess = results.find(r => r.status === 'fulfilled');
     if (firstSuccess) {
-        const incidentName = firstSuccess.value.title.split(':')[0].trim();
+        const incidentName = ChartRenderer.incidentNameFromTitle(firstSuccess.value.title);
         document.title = incidentName;
         document.getElementById('incident-name').textContent = incidentName;
     }
 
-    const grid = document.getElementById('quadrant-grid');
-    grid.innerHTML = '';
+    const grid        = document.getElementById('quadrant-grid');
+    const viewToggle  = document.getElementById('view-toggle');
+    const exportAll   = document.getElementById('export-all');
+    const activeViews = [];   // Chart instances for the current view
+    const zoneCharts  = new Map();   // zone → { chart, panel } of its quadrant, for in-place refresh
+    const viewPanels  = [];   // { chart, title, subtitle, footer } for PNG export of the current view
+    const staleZones  = new Map();   // zone → message of its failed refresh, while it shows previous data
+    let currentView   = parts[2] === 'progression' ? 'progression' : 'quadrants';
 
-    results.forEach((result, i) => {
-        const zone = zones[i];
-        const cell = document.createElement('div');
-        cell.className = 'quadrant-cell';
+    // ── Quadrant view: one radar per zone ──────────────────────────
+
+    function renderQuadrants() {
+        grid.className = 'quadrant-grid';
+        grid.innerHTML = '';
+        grid.style.setProperty('--zone-columns', String(Math.ceil(Math.sqrt(zones.length))));
+
+        results.forEach((result, i) => {
+            const zone = zones[i];
+            const cell = document.createElement('div');
+            cell.className = 'quadrant-cell';
+
+            if (result.status === 'absent') {
+                cell.classList.add('is-absent');
+                cell.textContent = `${ZoneManifest.label(zone)}: not produced for this incident`;
+                grid.appendChild(cell);
+                return;
+            }
+
+            if (result.status === 'rejected') {
+                cell.innerHTML = `<div class="state-error">Failed to load ${SafeHtml.escape(ZoneManifest.label(zone))}: `
+                    + `${SafeHtml.escape(result.reason.message)}</div>`;
+                grid.appendChild(cell);
+                return;
+            }
+
+            const chartData = result.value;
+            const chartHref = SafeHtml.escape(`chart.html#${region}/${uid}/${zone}`);
+            const issues    = ChartValidator.validate(chartData);
+
+            cell.dataset.zone = zone;
+            cell.innerHTML = `
+                <div class="quadrant-header">
+                    <h3>${SafeHtml.escape(chartData.title)} ${ChartValidator.buildBadge(issues)}</h3>
+                    <p><span class="quadrant-subtitle">${SafeHtml.escape(chartData.subtitle)}</span>
+                        <span class="freshness-slot" data-zone="${SafeHtml.escape(zone)}"></span>
+                        &nbsp;|&nbsp; <a href="${chartHref}" target="_blank">Full view →</a></p>
+                    <div class="priority-slot" data-zone="${SafeHtml.escape(zone)}"></div>
+                    ${ChartExport.buildMenuHtml({ title: 'Export this zone' })}
+                </div>
+                <div class="quadrant-canvas-wrapper">
+                    <canvas></canvas>
+                </div>
+                <p class="chart-footer-note">${ChartRenderer.buildFooterNote(zone)}</p>
+            `;
 
-        if (result.status === 'rejected') {
-            cell.innerHTML = `<div class="state-error">Failed to load ${zone}: ${result.reason.message}</div>`;
             grid.appendChild(cell);
+            markStale(cell, zone);
+            const chart = ChartRenderer.render(cell.querySelector('canvas'), chartData, {
+                maintainAspectRatio: false,
+                issues,
+                previous:    previousByZone[zone],
+                onAxisClick: ({ axis }) => AxisDrilldown.open({ region, uid, zone, axis, chartData: results[i].value }),
+            });
+            const panel = {
+                chart,
+                title:    chartData.title,
+                subtitle: chartData.subtitle,
+                footer:   ChartRenderer.buildFooterNote(zone),
+            };
+            activeViews.push(chart);
+            viewPanels.push(panel);
+            zoneCharts.set(zone, { chart, panel });
+
+            // Read at click time so exports include any live refresh.
+            const entries  = () => [{ source: `${region}/${uid}`, zone, chartData: results[i].value }];
+            const filename = () => ChartExport.slugify(results[i].value.title);
+            ChartExport.wireMenu(cell, {
+                png:  () => ChartExport.exportPng([panel], { filename: filename() }),
+                svg:  () => ChartExport.exportSvg([panel], { filename: filename() }),
+                csv:  () => ChartExport.exportCsv(entries(), filename()),
+                json: () => ChartExport.exportJson(entries(), filename()),
+            });
+        });
+
+        refreshPriority();
+        refreshFreshness();
+    }
+
+    // Adds the stale indicator to a quadrant whose last refresh failed, or removes it.
+    function markStale(cell, zone) {
+        cell.querySelector('.stale-indicator')?.remove();
+        if (!staleZones.has(zone)) return;
+        cell.querySelector('.quadrant-header h3').insertAdjacentHTML('afterend',
+            `<span class="stale-indicator" title="Refresh failed: ${SafeHtml.escape(staleZones.get(zone))}">Stale – showing previous data</span>`);
+    }
+
+    // Fills each zone's priority badge; redrawn whenever the weights change.
+    function refreshPriority() {
+        grid.querySelectorAll('.priority-slot[data-zone]').forEach(slot => {
+            const result = results[zones.indexOf(slot.dataset.zone)];
+            slot.innerHTML = PriorityScore.buildBadge(PriorityScore.compute(result.value));
+        });
+    }
+
+    PriorityScore.subscribe(refreshPriority);
+
+    // Fills each zone's perimeter/attribute age badge; redrawn when the thresholds change.
+    function refreshFreshness() {
+        grid.querySelectorAll('.freshness-slot[data-zone]').forEach(slot => {
+            const result = results[zones.indexOf(slot.dataset.zone)];
+            slot.innerHTML = DataFreshness.buildBadge(DataFreshness.describe(result.value));
+        });
+    }
+
+    DataFreshness.subscribe(refreshFreshness);
+
+    // ── Progression view: nested zone radar + raw value vs distance ─
+
+    // Buffer distance in miles from the zone manifest, else the zone id prefix (e.g. "3_mile_buffer" → 3).
+    function zoneDistance(zone) {
+        return ZoneManifest.miles(zone) ?? parseInt(zone, 10);
+    }
+
+    // One series per raw metric. Composite axes (raw arrays) yield one series per
+    // sub-metric so values with different units never share a y axis.
+    function buildRawSeries(loaded) {
+        const series = new Map();   // `${axis}|${index}` → { axis, metric, points }
+        const axes   = [...new Set(loaded.flatMap(({ chartData }) => Object.keys(chartData.data)))];
+
+        axes.forEach(axis => {
+            loaded.forEach(({ zone, chartData }) => {
+                const rawEntry = chartData.raw?.[axis];
+                const entries  = Array.isArray(rawEntry) ? rawEntry : [rawEntry];
+                entries.forEach((entry, index) => {
+                    if (!entry) return;
+                    const key = `${axis}|${index}`;
+                    if (!series.has(key)) series.set(key, { axis, metric: entry.metric, points: [] });
+                    series.get(key).points.push({
+                        distance: zoneDistance(zone),
+                        label:    ZoneManifest.label(zone),
+                        value:    entry.value ?? null,
+                    });
+                });
+            });
+        });
+
+        return [...series.values()];
+    }
+
+    function renderProgression() {
+        grid.className = 'progression-grid';
+        grid.innerHTML = '';
+
+        const loaded = results
+            .map((result, i) => ({ result, zone: zones[i] }))
+            .filter(({ result }) => result.status === 'fulfilled')
+            .map(({ result, zone }) => ({ zone, chartData: result.value }));
+
+        if (loaded.length === 0) {
+            grid.innerHTML = '<div class="state-error">No zone data could be loaded for this incident.</div>';
             return;
         }
 
-        const chartData = result.value;
-        const chartHref = `chart.html#${region}/${uid}/${zone}`;
+        const failedZones = zones.filter((_, i) => results[i].status === 'rejected').map(ZoneManifest.label);
+        const staleLabels = [...staleZones.keys()].map(ZoneManifest.label);
+        const rawSeries   = buildRawSeries(loaded);
 
-        cell.innerHTML = `
+        const radarCell = document.createElement('div');
+        radarCell.className = 'progression-radar';
+        radarCell.innerHTML = `
             <div class="quadrant-header">
-                <h3>${chartData.title}</h3>
-                <p>${chartData.subtitle} &nbsp;|&nbsp; <a href="${chartHref}" target="_blank">Full view →</a></p>
+                <h3>Zone progression</h3>
+                <p>All buffers on one radar, from the perimeter outward${failedZones.length
+                    ? ` &nbsp;|&nbsp; <span class="state-error-inline">Missing: ${SafeHtml.escape(failedZones.join(', '))}</span>`
+                    : ''}${staleLabels.length
+                    ? ` &nbsp;|&nbsp; <span class="stale-indicator">Stale: ${SafeHtml.escape(staleLabels.join(', '))}</span>`
+                    : ''}</p>
             </div>
             <div class="quadrant-canvas-wrapper">
                 <canvas></canvas>
             </div>
-            <p class="chart-footer-note">${ChartRenderer.buildFooterNote(zone)}</p>
+            <p class="chart-footer-note">Scores are normalized separately within each zone, so compare raw values (right) across distances.</p>
         `;
+        grid.appendChild(radarCell);
+        const radarChart = ChartRenderer.renderOverlay(
+            radarCell.querySelector('canvas'),
+            loaded.map(({ zone, chartData }) => ({
+                label:  ZoneManifest.label(zone),
+                chartData,
+                issues: ChartValidator.validate(chartData),
+            })),
+            {
+                maintainAspectRatio: false,
+                // A label click (no series) opens the nearest zone.
+                onAxisClick: ({ axis, datasetIndex }) => {
+                    const { zone, chartData } = loaded[datasetIndex ?? 0];
+                    AxisDrilldown.open({ region, uid, zone, axis, chartData });
+                },
+            },
+        );
+        activeViews.push(radarChart);
+        viewPanels.push({ chart: radarChart, title: 'Zone progression', subtitle: loaded[0].chartData.subtitle });
+
+        const multiples = document.createElement('div');
+        multiples.className = 'progression-multiples';
+        grid.appendChild(multiples);
+
+        rawSeries.forEach(({ axis, metric, points }) => {
+            const cell = document.createElement('div');
+            cell.className = 'progression-cell';
+            cell.innerHTML = `
+                <h4>${SafeHtml.escape(axis)}${metric ? ` <span>(${SafeHtml.escape(metric)})</span>` : ''}</h4>
+                <div class="progression-canvas-wrapper"><canvas></canvas></div>
+            `;
+            multiples.appendChild(cell);
+            const chart = ChartRenderer.renderRawProgression(cell.querySelector('canvas'), { metric, points });
+            activeViews.push(chart);
+            viewPanels.push({ chart, title: metric ? `${axis} (${metric})` : axis });
+        });
+    }
+
+    // ── View switching ─────────────────────────────────────────────
+    // The view is kept as an optional third hash segment: incident.html#<region>/<uid>/progression
+
+    function showView(view) {
+        activeViews.splice(0).forEach(chart => chart.destroy());
+        viewPanels.length = 0;
+        zoneCharts.clear();
+        viewToggle.querySelectorAll('button').forEach(btn => {
+            btn.setAttribute('aria-pressed', String(btn.dataset.view === view));
+        });
+        if (view === 'progression') renderProgression();
+        else                        renderQuadrants();
+    }
 
-        grid.appendChild(cell);
-        ChartRenderer.render(cell.querySelector('canvas'), chartData, { maintainAspectRatio: false });
+    viewToggle.addEventListener('click', e => {
+        const view = e.target.closest('button')?.dataset.view;
+        if (!view) return;
+        history.replaceState(null, '', `#${region}/${uid}${view === 'progression' ? '/progression' : ''}`);
+        currentView = view;
+        showView(view);
     });
 
+    // ── Live refresh ───────────────────────────────────────────────
+    // Quadrant charts are updated in place. The progression view is redrawn,
+    // since its raw-value series can gain or lose metrics between publishes.
+    // Zones that fail to refresh keep their previous payload and are marked stale;
+    // the mark is kept in staleZones so a redrawn view shows it too. A retry
+    // re-fetches only the stale zones and those that never loaded.
+
+    async function refreshZones(stamp, { retry = false } = {}) {
+        if (!retry) AxisDrilldown.reset();
+        const fresh  = await loadZones({ refresh: true },
+            (zone, i) => !retry || staleZones.has(zone) || results[i].status === 'rejected');
+        let complete = true;
+
+        fresh.forEach((result, i) => {
+            const zone = zones[i];
+            if (result.status === 'absent' || result.status === 'skipped') return;
+            const cell = grid.querySelector(`.quadrant-cell[data-zone="${CSS.escape(zone)}"]`);
+
+            if (result.status === 'rejected') {
+                complete = false;
+                // A zone that never loaded keeps its load error instead.
+                if (results[i].status === 'fulfilled') staleZones.set(zone, result.reason.message);
+                if (cell) markStale(cell, zone);
+                return;
+            }
+
+            staleZones.delete(zone);
+            if (cell) markStale(cell, zone);
+
+            const snapshot = SnapshotStore.record(region, uid, zone, result.value, { stamp });
+            previousByZone[zone] = snapshot.previous?.chartData ?? null;
+            results[i] = result;
+
+            const quadrant = zoneCharts.get(zone);
+            if (!quadrant) return;
+            const issues = ChartValidator.validate(result.value);
+            ChartRenderer.update(quadrant.chart, result.value, { issues, previous: previousByZone[zone] });
+            quadrant.panel.title    = result.value.title;
+            quadrant.panel.subtitle = result.value.subtitle;
+            cell.querySelector('.quadrant-header h3').innerHTML =
+                `${SafeHtml.escape(result.value.title)} ${ChartValidator.buildBadge(issues)}`;
+            cell.querySelector('.quadrant-subtitle').textContent = result.value.subtitle;
+        });
+
+        // A zone that failed at page load has no quadrant yet, so the view is redrawn to add it.
+        const missing = zones.some((zone, i) => results[i].status === 'fulfilled' && !zoneCharts.has(zone));
+        if (currentView === 'progression' || missing) {
+            showView(currentView);
+        } else {
+            refreshPriority();
+            refreshFreshness();
+        }
+        return complete;
+    }
+
+    LiveRefresh.start({ initialStamp: dataStamp, onPublish: refreshZones });
+
+    // "Export all" bundles every loaded zone into one file; the PNG captures the current view.
+    const incidentTitle = firstSuccess ? ChartRenderer.incidentNameFromTitle(firstSuccess.value.title) : uid;
+    const allEntries    = () => results
+        .map((result, i) => ({ result, zone: zones[i] }))
+        .filter(({ result }) => result.status === 'fulfilled')
+        .map(({ result, zone }) => ({ source: `${region}/${uid}`, zone, chartData: result.value }));
+    const allFilename   = `${ChartExport.slugify(incidentTitle)}-all-zones`;
+
+    exportAll.innerHTML = ChartExport.buildMenuHtml({ label: '⤓ Export all', title: 'Export all zones on this page' });
+    ChartExport.wireMenu(exportAll, {
+        png:  () => ChartExport.exportPng(viewPanels, { heading: incidentTitle, filename: allFilename }),
+        svg:  () => ChartExport.exportSvg(viewPanels, { heading: incidentTitle, filename: allFilename }),
+        csv:  () => ChartExport.exportCsv(allEntries(), allFilename),
+        json: () => ChartExport.exportJson(allEntries(), allFilename),
+    });
+
+    showView(currentView);
+    ChartRenderer.mountThemeToggle(document.querySelector('.back-nav'), () => showView(currentView));
+
 })();
@@ -0,0 +1,226 @@
+/**
+ * IncidentPicker - searchable incident combobox for the chart browser.
+ *
+ * Matching
+ * --------
+ * Queries are matched against the incident name (which starts with its
+ * number, e.g. "294-East Gakona River") and its region code. Contiguous
+ * substring matches rank first, earlier positions and word starts higher;
+ * otherwise the query letters must appear in order (subsequence match),
+ * ranked by how tightly they cluster. Ties keep the option order given to
+ * setOptions().
+ *
+ * Recent incidents
+ * ----------------
+ * remember(name) stores the name in localStorage; with an empty query the
+ * list shows recent incidents (still limited to the current options) first.
+ *
+ * Keyboard: ArrowDown/ArrowUp move, Enter selects, Escape closes.
+ */
+const IncidentPicker = (() => {
+
+    const RECENT_KEY   = 'recent-incidents';
+    const RECENT_LIMIT = 8;
+    const RESULT_LIMIT = 50;
+
+    function normalize(text) {
+        return text.toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+    }
+
+    /**
+     * Score how well a query matches a candidate string. Higher is better;
+     * null means no match.
+     */
+    function fuzzyScore(query, text) {
+        const q = normalize(query).trim();
+        const t = normalize(text);
+        if (!q) return 0;
+
+        const index = t.indexOf(q);
+        if (index !== -1) {
+            const wordStart = index === 0 || /[\s\-(]/.test(t[index - 1]);
+            return 1000 - index + (wordStart ? 100 : 0);
+        }
+
+        // Subsequence: every query character in order, penalized by the gaps between them.
+        let position = -1;
+        let gaps     = 0;
+        for (const char of q.replace(/\s+/g, '')) {
+            const next = t.indexOf(char, position + 1);
+            if (next === -1) return null;
+            if (position !== -1) gaps += next - position - 1;
+            position = next;
+        }
+        return 500 - gaps;
+    }
+
+    function readRecent() {
+        try {
+            return JSON.parse(localStorage.getItem(RECENT_KEY)) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    function remember(name) {
+        const recent = [name, ...readRecent().filter(n => n !== name)].slice(0, RECENT_LIMIT);
+        try {
+            localStorage.setItem(RECENT_KEY, JSON.stringify(recent));
+        } catch {
+            // Recents are a convenience; ignore storage failures.
+        }
+    }
+
+    /**
+     * Wire a combobox onto an input and a listbox element.
+     *
+     * @param {HTMLInputElement} input
+     * @param {HTMLElement}      listbox - empty <ul> shown below the input
+     * @param {{ onChange?: (name: string) => void }} [options]
+     *        onChange fires with the selected name, or '' when the selection is cleared
+     */
+    function create(input, listbox, { onChange = () => {} } = {}) {
+        let options  = [];   // [{ name, region }]
+        let results  = [];   // [{ name, region, recent }] currently listed
+        let active   = -1;
+        let selected = '';
+
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', listbox.id);
+        listbox.setAttribute('role', 'listbox');
+
+        function search(query) {
+            if (!query.trim()) {
+                const byName = new Map(options.map(option => [option.name, option]));
+                const recent = readRecent().filter(name => byName.has(name)).map(name => ({ ...byName.get(name), recent: true }));
+                const rest   = options.filter(option => !recent.some(r => r.name === option.name));
+                return [...recent, ...rest].slice(0, RESULT_LIMIT);
+            }
+            return options
+                .map((option, order) => ({
+                    option,
+                    order,
+                    score: Math.max(
+                        fuzzyScore(query, option.name) ?? -Infinity,
+                        (fuzzyScore(query, option.region) ?? -Infinity) - 200,
+                    ),
+                }))
+                .filter(match => match.score > -Infinity)
+                .sort((a, b) => b.score - a.score || a.order - b.order)
+                .slice(0, RESULT_LIMIT)
+                .map(match => match.option);
+        }
+
+        function renderList() {
+            listbox.innerHTML = '';
+            results.forEach((result, i) => {
+                const item = document.createElement('li');
+                item.id = `${listbox.id}-option-${i}`;
+                item.setAttribute('role', 'option');
+                item.setAttribute('aria-selected', String(i === active));
+                item.className = 'picker-option' + (i === active ? ' is-active' : '');
+                item.dataset.index = i;
+
+                const name = document.createElement('span');
+                name.textContent = result.name;
+                const meta = document.createElement('span');
+                meta.className = 'picker-option-meta';
+                meta.textContent = result.recent ? `${result.region} · recent` : result.region;
+
+                item.append(name, meta);
+                listbox.appendChild(item);
+            });
+            if (results.length === 0) {
+                listbox.innerHTML = '<li class="picker-empty">No matching incidents</li>';
+            }
+            input.setAttribute('aria-activedescendant', active >= 0 ? `${listbox.id}-option-${active}` : '');
+            listbox.querySelector('.is-active')?.scrollIntoView({ block: 'nearest' });
+        }
+
+        function open() {
+            results = search(input.value === selected ? '' : input.value);
+            active  = results.length > 0 ? 0 : -1;
+            listbox.hidden = false;
+            input.setAttribute('aria-expanded', 'true');
+            renderList();
+        }
+
+        function close() {
+            listbox.hidden = true;
+            input.setAttribute('aria-expanded', 'false');
+            input.removeAttribute('aria-activedescendant');
+        }
+
+        function select(name) {
+            const changed = name !== selected;
+            selected    = name;
+            input.value = name;
+            close();
+            if (changed) onChange(name);
+        }
+
+        input.addEventListener('focus', open);
+        input.addEventListener('input', () => {
+            if (selected && input.value !== selected) {
+                selected = '';
+                onChange('');
+            }
+            open();
+        });
+
+        input.addEventListener('keydown', e => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (listbox.hidden) return open();
+                if (results.length === 0) return;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                active = (active + step + results.length) % results.length;
+                renderList();
+            } else if (e.key === 'Enter') {
+                if (!listbox.hidden && results[active]) {
+                    e.preventDefault();
+                    select(results[active].name);
+                }
+            } else if (e.key === 'Escape') {
+                close();
+                input.value = selected;
+            }
+        });
+
+        // mousedown (not click) so the choice lands before the input blurs.
+        listbox.addEventListener('mousedown', e => {
+            const item = e.target.closest('.picker-option');
+            if (!item) return;
+            e.preventDefault();
+            select(results[Number(item.dataset.index)].name);
+        });
+
+        input.addEventListener('blur', () => {
+            close();
+            input.value = selected;
+        });
+
+        return {
+            get value() {
+                return selected;
+            },
+            set value(name) {
+                selected    = options.some(option => option.name === name) ? name : '';
+                input.value = selected;
+            },
+            // Replaces the option list; the selection is kept only if still offered.
+            setOptions(next) {
+                options = next;
+                if (!options.some(option => option.name === selected)) {
+                    selected    = '';
+                    input.value = '';
+                }
+                if (!listbox.hidden) open();
+            },
+        };
+    }
+
+    return { create, remember, fuzzyScore };
+})();
@@ -0,0 +1,144 @@
+/**
+ * LiveRefresh - polls last_updated.json (from the active DataSource) and tells the page when a new
+ * publish has landed, so dashboards left open for a shift stay current.
+ *
+ * Polling
+ * -------
+ * The stamp is re-checked every N minutes (chosen in the header control and
+ * kept in localStorage), skipped while the tab is hidden and checked again as
+ * soon as it is shown. A "data-published" message from the service worker
+ * triggers an immediate check. Requests use cache: 'no-cache' so the browser
+ * cache never hides a new stamp; the service worker fetches it network-first
+ * and drops stale payloads on a change (see sw.js).
+ *
+ * Publishing
+ * ----------
+ * When the stamp differs from the last one seen, onPublish(stamp) is awaited.
+ * It should re-fetch the charts on screen and resolve true when all of them
+ * refreshed. On false the new stamp is still recorded, and later checks call
+ * onPublish(stamp, { retry: true }) until it resolves true; a retry re-fetches
+ * only the charts that failed. Pages keep the old data for those charts and
+ * mark them stale meanwhile.
+ */
+const LiveRefresh = (() => {
+
+    const INTERVAL_KEY     = 'refresh-interval-minutes';
+    const INTERVALS        = [1, 5, 15, 30];   // minutes
+    const DEFAULT_INTERVAL = 5;
+
+    function readInterval() {
+        let minutes = null;
+        try {
+            minutes = Number(localStorage.getItem(INTERVAL_KEY));
+        } catch {
+            // Falls back to the default interval.
+        }
+        return INTERVALS.includes(minutes) ? minutes : DEFAULT_INTERVAL;
+    }
+
+    function fetchStamp() {
+        return ChartData.loadLastUpdated({ refresh: true });
+    }
+
+    function formatTime(date) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Start polling and mount the refresh control in the page's site-header.
+     *
+     * @param {Object} options
+     * @param {Promise<string|null>} options.initialStamp - the stamp the page loaded with
+     * @param {(stamp: string|null, options: { retry: boolean }) => Promise<boolean>} options.onPublish
+     */
+    function start({ initialStamp, onPublish }) {
+        let stamp   = undefined;   // unknown until initialStamp resolves
+        let failed  = false;       // the last onPublish left charts stale
+        let paused  = false;
+        let running = false;
+        let timer   = null;
+
+        const control = document.createElement('div');
+        control.className = 'refresh-control';
+        control.innerHTML = `
+            <span class="refresh-status" role="status"></span>
+            <select class="refresh-interval" aria-label="Auto-refresh interval">
+                ${INTERVALS.map(minutes => `<option value="${minutes}">Every ${minutes} min</option>`).join('')}
+            </select>
+            <button type="button" class="refresh-pause" aria-pressed="false">Pause</button>
+        `;
+        document.querySelector('.site-header')?.appendChild(control);
+
+        const status      = control.querySelector('.refresh-status');
+        const intervalSel = control.querySelector('.refresh-interval');
+        const pauseBtn    = control.querySelector('.refresh-pause');
+        intervalSel.value = String(readInterval());
+
+        function schedule() {
+            clearTimeout(timer);
+            if (!paused) timer = setTimeout(check, readInterval() * 60 * 1000);
+        }
+
+        async function check() {
+            if (paused || running || stamp === undefined) return;
+            if (document.hidden) return schedule();
+
+            running = true;
+            try {
+                const fresh = await fetchStamp();
+                if (fresh !== stamp || failed) {
+                    const retry = fresh === stamp;
+                    status.textContent = retry ? 'Retrying stale charts…' : 'Refreshing…';
+                    stamp  = fresh;
+                    failed = true;   // also when onPublish throws
+                    failed = !(await onPublish(fresh, { retry }));
+                    if (!retry) DataFreshness.showStamp(document.getElementById('last-updated'), fresh);
+                }
+                status.textContent = `Checked ${formatTime(new Date())}`;
+            } catch (err) {
+                console.warn('Refresh check failed:', err);
+                status.textContent = `Check failed ${formatTime(new Date())}`;
+            } finally {
+                running = false;
+                schedule();
+            }
+        }
+
+        intervalSel.addEventListener('change', () => {
+            try {
+                localStorage.setItem(INTERVAL_KEY, intervalSel.value);
+            } catch {
+                // The interval then resets on reload.
+            }
+            schedule();
+        });
+
+        pauseBtn.addEventListener('click', () => {
+            paused = !paused;
+            pauseBtn.textContent = paused ? 'Resume' : 'Pause';
+            pauseBtn.setAttribute('aria-pressed', String(paused));
+            control.classList.toggle('is-paused', paused);
+            if (paused) {
+                clearTimeout(timer);
+                status.textContent = 'Auto-refresh paused';
+            } else {
+                check();
+            }
+        });
+
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden) check();
+        });
+
+        navigator.serviceWorker?.addEventListener('message', e => {
+            if (e.data?.type === 'data-published') check();
+        });
+
+        Promise.resolve(initialStamp).then(initial => {
+            stamp = initial ?? null;
+            schedule();
+        });
+    }
+
+    return { start };
+})();
@@ -0,0 +1,81 @@
+/**
+ * OfflineSupport - service worker registration, the offline banner, and
+ * "download for offline use".
+ *
+ * The service worker (sw.js) does the caching; this module only registers it,
+ * tells the user when they are looking at cached data, and warms the cache by
+ * requesting every payload for a region while online. Reads go through
+ * DataSource; only published data is cached, so saving a region needs it active.
+ */
+const OfflineSupport = (() => {
+
+    function register() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register('sw.js').catch(err => {
+            console.error('Service worker registration failed:', err);
+        });
+    }
+
+    // Resolves the active source's datetime; while offline published data comes from the service worker cache.
+    function fetchDataStamp() {
+        return ChartData.loadLastUpdated().catch(() => null);
+    }
+
+    // Adds an "Offline – data as of X" banner to the page's site-header and keeps
+    // it in sync with connectivity. Pages without a site-header are left alone.
+    function mountBanner() {
+        const header = document.querySelector('.site-header');
+        if (!header) return;
+
+        const banner = document.createElement('div');
+        banner.className = 'offline-banner';
+        banner.setAttribute('role', 'status');
+        banner.hidden = true;
+        header.appendChild(banner);
+
+        async function refresh() {
+            if (navigator.onLine) {
+                banner.hidden = true;
+                return;
+            }
+            const stamp = await fetchDataStamp();
+            const kind  = DataSource.isPublished() ? 'data' : 'preview data';
+            banner.textContent = stamp ? `Offline – ${kind} as of ${stamp}` : `Offline – showing cached ${kind}`;
+            banner.hidden = navigator.onLine;
+        }
+
+        window.addEventListener('online', refresh);
+        window.addEventListener('offline', refresh);
+        refresh();
+    }
+
+    /**
+     * Request every zone payload for the incidents in one region so the service
+     * worker caches them. Resolves to the number of files that failed; rejects
+     * while a preview source is active, since only published data is cached.
+     *
+     * @param {Object} incidentMap - parsed incident_map.json
+     * @param {string} region
+     * @param {{ onProgress?: (done: number, total: number) => void }} [options]
+     * @returns {Promise<number>}
+     */
+    async function saveRegion(incidentMap, region, { onProgress } = {}) {
+        if (!DataSource.isPublished()) throw new Error('Only published data can be saved for offline use');
+
+        const paths = [
+            'incident_map.json',
+            ZoneManifest.MANIFEST_FILE,
+            ...ChartData.listIncidents(incidentMap, region).flatMap(({ region: r, uid }) =>
+                ZoneManifest.forIncident(uid).map(zone => `${r}/${uid}/${zone}.json`)),
+        ];
+
+        const results = await ChartData.mapWithConcurrency(paths, path => DataSource.fetchJson(path), { onProgress });
+
+        return results.filter(result => result.status === 'rejected').length;
+    }
+
+    register();
+    document.addEventListener('DOMContentLoaded', mountBanner);
+
+    return { saveRegion };
+})();
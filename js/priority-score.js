@@ -0,0 +1,347 @@
+/**
+ * PriorityScore - weighted composite score over a payload's axis scores, and
+ * the named weight presets that drive it.
+ *
+ * Score rule
+ * ----------
+ *   score = Σ(wᵢ · sᵢ) / Σ(wᵢ)   over axes with weight wᵢ > 0
+ * giving a 0–100 number on the same scale as the axis scores.
+ *
+ *   - A true 0 score is assessed and counts: it pulls the composite down.
+ *   - A null (not assessed) axis is left out of both sums, so missing data
+ *     neither raises nor lowers the score. The result reports coverage — the
+ *     share of total weight that was assessed — so a high score resting on
+ *     one or two axes is visible as such.
+ *   - If no weighted axis is assessed the score is null.
+ *
+ * Presets
+ * -------
+ * Weights are { [axis]: number ≥ 0 }; axes not listed default to 1. Presets
+ * live in localStorage as { name: weights } with the active preset name
+ * alongside. "Equal weights" is built in and cannot be overwritten. Presets
+ * export/import as JSON: { "name": { "Axis": weight, … }, … }.
+ *
+ * Views that show scores subscribe() and redraw when the preset or its weights
+ * change, including changes made in another tab. mountPanel() renders the
+ * weighting panel; it needs ChartExport for the export download.
+ */
+const PriorityScore = (() => {
+
+    const PRESETS_KEY  = 'priority-presets';
+    const ACTIVE_KEY   = 'priority-active-preset';
+    const DEFAULT_NAME = 'Equal weights';
+    const DEFAULT_WEIGHT = 1;
+
+    const listeners = new Set();
+
+    function weightFor(weights, axis) {
+        const weight = weights?.[axis];
+        return Number.isFinite(weight) && weight >= 0 ? weight : DEFAULT_WEIGHT;
+    }
+
+    /**
+     * Compute the composite score for one payload.
+     *
+     * @param {{ data: Object }} chartData
+     * @param {Object} [weights]
+     * @returns {{ score: number|null, coverage: number, assessed: number, weighted: number }}
+     *          coverage is 0–1; assessed/weighted count axes with weight > 0
+     */
+    function compute(chartData, weights = getActiveWeights()) {
+        let sum         = 0;
+        let assessedW   = 0;
+        let totalW      = 0;
+        let assessed    = 0;
+        let weighted    = 0;
+
+        for (const [axis, score] of Object.entries(chartData.data)) {
+            const weight = weightFor(weights, axis);
+            if (weight === 0) continue;
+            weighted++;
+            totalW += weight;
+            if (score === null || score === undefined) continue;
+            assessed++;
+            assessedW += weight;
+            sum       += weight * score;
+        }
+
+        return {
+            score:    assessedW > 0 ? sum / assessedW : null,
+            coverage: totalW > 0 ? assessedW / totalW : 0,
+            assessed,
+            weighted,
+        };
+    }
+
+    /**
+     * Header badge markup, e.g. "Priority 62.4 · 7/9 axes".
+     *
+     * @param {Object} result - from compute()
+     * @param {{ label?: string }} [options] - prefix naming the chart, for overlay cards
+     */
+    function buildBadge(result, { label = '' } = {}) {
+        const prefix = label ? `${SafeHtml.escape(label)}: ` : 'Priority ';
+        if (result.score === null) {
+            return `<span class="priority-badge is-empty" title="No weighted axis was assessed">${prefix}—</span>`;
+        }
+        const title = `Weighted mean of assessed axes (${SafeHtml.escape(getActiveName())}). `
+            + `${Math.round(result.coverage * 100)}% of the total weight was assessed; unassessed axes are left out.`;
+        return `<span class="priority-badge" title="${title}">${prefix}${result.score.toFixed(1)}`
+            + `<small> · ${result.assessed}/${result.weighted} axes</small></span>`;
+    }
+
+    // ── Presets ────────────────────────────────────────────────────
+
+    function readPresets() {
+        try {
+            return JSON.parse(localStorage.getItem(PRESETS_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    function writePresets(presets) {
+        try {
+            localStorage.setItem(PRESETS_KEY, JSON.stringify(presets));
+        } catch {
+            throw new Error('Presets could not be saved: browser storage is full or unavailable');
+        }
+    }
+
+    function listPresets() {
+        return { [DEFAULT_NAME]: {}, ...readPresets() };
+    }
+
+    function getActiveName() {
+        let name = null;
+        try {
+            name = localStorage.getItem(ACTIVE_KEY);
+        } catch {
+            // Without storage the default preset is active.
+        }
+        return name && name in listPresets() ? name : DEFAULT_NAME;
+    }
+
+    function getActiveWeights() {
+        return listPresets()[getActiveName()];
+    }
+
+    function notify() {
+        listeners.forEach(listener => listener());
+    }
+
+    function setActive(name) {
+        try {
+            localStorage.setItem(ACTIVE_KEY, name in listPresets() ? name : DEFAULT_NAME);
+        } catch {
+            throw new Error('The active preset could not be saved: browser storage is full or unavailable');
+        }
+        notify();
+    }
+
+    // Only non-negative finite weights are kept; anything else falls back to the default.
+    function sanitizeWeights(weights) {
+        return Object.fromEntries(Object.entries(weights || {})
+            .map(([axis, weight]) => [axis, Number(weight)])
+            .filter(([, weight]) => Number.isFinite(weight) && weight >= 0));
+    }
+
+    function savePreset(name, weights) {
+        const trimmed = String(name).trim();
+        if (!trimmed || trimmed === DEFAULT_NAME) throw new Error(`"${trimmed || name}" is not a valid preset name`);
+        writePresets({ ...readPresets(), [trimmed]: sanitizeWeights(weights) });
+        setActive(trimmed);
+    }
+
+    function deletePreset(name) {
+        const presets = readPresets();
+        delete presets[name];
+        writePresets(presets);
+        if (getActiveName() === name || !(getActiveName() in listPresets())) setActive(DEFAULT_NAME);
+        else notify();
+    }
+
+    function exportPresets() {
+        return JSON.stringify(readPresets(), null, 2);
+    }
+
+    // Merges presets from JSON text; returns the imported names. Throws on malformed input.
+    function importPresets(text) {
+        const parsed = JSON.parse(text);
+        if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+            throw new Error('Expected an object of { presetName: { axis: weight } }');
+        }
+        const imported = Object.fromEntries(Object.entries(parsed)
+            .filter(([name, weights]) => name !== DEFAULT_NAME && typeof weights === 'object' && weights !== null)
+            .map(([name, weights]) => [name, sanitizeWeights(weights)]));
+        writePresets({ ...readPresets(), ...imported });
+        notify();
+        return Object.keys(imported);
+    }
+
+    // Calls listener() whenever the active preset or its weights change.
+    function subscribe(listener) {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    // Another tab edited the presets.
+    window.addEventListener('storage', e => {
+        if (e.key === PRESETS_KEY || e.key === ACTIVE_KEY) notify();
+    });
+
+    // ── Weighting panel ────────────────────────────────────────────
+
+    /**
+     * Render the weighting panel into a container: a preset picker, one weight
+     * input per axis, save/delete, and JSON import/export. Weights of a saved
+     * preset are edited in place; the built-in preset is read-only, so edits
+     * start by saving it under a new name.
+     *
+     * @param {HTMLElement} container
+     * @param {string[]}    axes - axis labels, in chart order
+     */
+    function mountPanel(container, axes) {
+        container.innerHTML = `
+            <details>
+                <summary>Priority weights: <span class="weights-active"></span></summary>
+                <div class="weights-body">
+                    <div class="weights-presets">
+                        <select class="weights-preset-select" aria-label="Weight preset"></select>
+                        <input type="text" class="weights-name" placeholder="New preset name…" aria-label="New preset name">
+                        <button type="button" class="btn-secondary weights-save">Save as</button>
+                        <button type="button" class="btn-secondary weights-delete">Delete</button>
+                        <button type="button" class="btn-secondary weights-export">Export</button>
+                        <label class="btn-secondary weights-import">Import
+                            <input type="file" accept=".json,application/json" hidden>
+                        </label>
+                        <span class="weights-status" role="status"></span>
+                    </div>
+                    <div class="weights-grid">
+                        ${axes.map((axis, i) => `
+                            <label class="weights-axis">
+                                <span>${SafeHtml.escape(axis)}</span>
+                                <input type="number" min="0" step="0.5" data-axis-index="${i}">
+                            </label>
+                        `).join('')}
+                    </div>
+                    <p class="weights-rule">
+                        Priority is the weighted mean of the assessed axis scores (0–100).
+                        A score of 0 counts; axes not assessed are left out rather than
+                        counted as 0. A weight of 0 ignores the axis.
+                    </p>
+                </div>
+            </details>
+        `;
+
+        const select    = container.querySelector('.weights-preset-select');
+        const nameInput = container.querySelector('.weights-name');
+        const status    = container.querySelector('.weights-status');
+        const inputs    = [...container.querySelectorAll('input[data-axis-index]')];
+        const fileInput = container.querySelector('.weights-import input');
+
+        function showStatus(text) {
+            status.textContent = text;
+        }
+
+        function inputWeights() {
+            return Object.fromEntries(inputs.map(input => [axes[input.dataset.axisIndex], Number(input.value)]));
+        }
+
+        function refresh() {
+            const active  = getActiveName();
+            const weights = getActiveWeights();
+            const builtIn = active === DEFAULT_NAME;
+
+            container.querySelector('.weights-active').textContent = active;
+            select.innerHTML = '';
+            Object.keys(listPresets()).forEach(name => select.add(new Option(name, name, false, name === active)));
+            inputs.forEach(input => {
+                // Leave the field being typed in alone so its caret and partial value survive.
+                if (input !== document.activeElement) input.value = weightFor(weights, axes[input.dataset.axisIndex]);
+                input.disabled = builtIn;
+            });
+            container.querySelector('.weights-delete').disabled = builtIn;
+        }
+
+        select.addEventListener('change', () => {
+            try {
+                setActive(select.value);
+                showStatus('');
+            } catch (err) {
+                select.value = getActiveName();
+                showStatus(err.message);
+            }
+        });
+
+        container.querySelector('.weights-grid').addEventListener('change', () => {
+            const active = getActiveName();
+            if (active === DEFAULT_NAME) return;
+            try {
+                savePreset(active, inputWeights());
+            } catch (err) {
+                showStatus(err.message);
+            }
+        });
+
+        container.querySelector('.weights-save').addEventListener('click', () => {
+            try {
+                savePreset(nameInput.value, inputWeights());
+                nameInput.value = '';
+                showStatus('Saved');
+            } catch (err) {
+                showStatus(err.message);
+            }
+        });
+
+        container.querySelector('.weights-delete').addEventListener('click', () => {
+            const active = getActiveName();
+            if (active === DEFAULT_NAME || !confirm(`Delete the preset "${active}"?`)) return;
+            try {
+                deletePreset(active);
+                showStatus(`Deleted "${active}"`);
+            } catch (err) {
+                showStatus(err.message);
+            }
+        });
+
+        container.querySelector('.weights-export').addEventListener('click', () => {
+            ChartExport.downloadBlob(
+                new Blob([exportPresets()], { type: 'application/json' }),
+                'priority-weights.json',
+            );
+        });
+
+        fileInput.addEventListener('change', async () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (!file) return;
+            try {
+                const names = importPresets(await file.text());
+                showStatus(names.length ? `Imported ${names.join(', ')}` : 'No presets found in file');
+            } catch (err) {
+                showStatus(`Import failed: ${err.message}`);
+            }
+        });
+
+        subscribe(refresh);
+        refresh();
+    }
+
+    return {
+        DEFAULT_NAME,
+        compute,
+        buildBadge,
+        weightFor,
+        listPresets,
+        getActiveName,
+        getActiveWeights,
+        setActive,
+        savePreset,
+        deletePreset,
+        exportPresets,
+        importPresets,
+        subscribe,
+        mountPanel,
+    };
+})();
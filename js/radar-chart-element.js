@@ -0,0 +1,320 @@
+/**
+ * <wf-radar-chart> - a self-contained radar chart for embedding on other pages.
+ *
+ *   <script src="https://<site>/js/radar-chart-element.js" defer></script>
+ *   <wf-radar-chart region="KKS" uid="554_…" zone="1_mile_buffer"></wf-radar-chart>
+ *
+ * This is the only script a host page needs: Chart.js, SafeHtml, ZoneManifest
+ * and ChartRenderer are loaded from next to this file unless the page already
+ * has them. They are added as <script> elements, so a host with a
+ * Content-Security-Policy must allow this site's js/ directory in script-src,
+ * or include those four scripts itself ahead of this one. A failed load is
+ * retried by the next element that connects. Zone labels in the footer come from zones.json in the data root, kept
+ * per element so embeds with different bases never share one. The element
+ * fetches its own payload and renders the title, subtitle, chart and footer
+ * note inside its shadow root, so host styles neither leak in nor out.
+ *
+ * Attributes
+ * ----------
+ *   region, uid, zone  which chart to show (all three are required)
+ *   base               data root URL; defaults to the data/ directory next to
+ *                      js/. Cross-origin hosts need CORS on that directory.
+ *   theme              "screen" | "contrast" | "print"; defaults to the
+ *                      reader's preferred theme
+ *   width, height      CSS lengths (plain numbers are pixels); default 100% × 420px
+ *   table              present → show the collapsible data table
+ *
+ * Changing region/uid/zone/base re-fetches; theme and table re-render; width
+ * and height resize in place.
+ *
+ * Events (bubbling, composed)
+ * ---------------------------
+ *   radar-load   detail: { chartData }   after each successful render
+ *   radar-error  detail: { error }       when the payload or scripts fail to load
+ *
+ * On the site's own pages, with no base attribute, the payload is read through
+ * ChartData so it follows the active DataSource (including previews).
+ */
+(() => {
+
+    const TAG            = 'wf-radar-chart';
+    const SCRIPT_URL     = document.currentScript?.src || location.href;
+    const DEFAULT_BASE   = new URL('../data/', SCRIPT_URL).href;
+    const DEFAULT_HEIGHT = '420px';
+    const SEGMENT_RE     = /^[A-Za-z0-9_-]+$/;   // same rule as ChartData.loadChart
+
+    // [is already loaded, path relative to this script], in load order.
+    const DEPENDENCIES = [
+        [() => typeof Chart !== 'undefined',         'vendor/chart.umd.min.js'],
+        [() => typeof SafeHtml !== 'undefined',      'safe-html.js'],
+        [() => typeof ZoneManifest !== 'undefined',  'zone-manifest.js'],
+        [() => typeof ChartRenderer !== 'undefined', 'chart-renderer.js'],
+    ];
+
+    let dependenciesReady = null;
+    let sheet = null;
+    const manifests = new Map();   // zones.json URL → Promise of ZoneManifest.parse() result
+
+    function loadScript(src) {
+        return new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src     = src;
+            script.onload  = resolve;
+            script.onerror = () => {
+                script.remove();
+                reject(new Error(`Failed to load ${src}`));
+            };
+            document.head.appendChild(script);
+        });
+    }
+
+    // Loads each missing dependency once, in order, however many elements are on the page.
+    // After a failure the next call starts over, so one network error does not break later elements.
+    function loadDependencies() {
+        if (!dependenciesReady) {
+            dependenciesReady = DEPENDENCIES.reduce(
+                (chain, [loaded, path]) => chain.then(() => loaded() ? null : loadScript(new URL(path, SCRIPT_URL).href)),
+                Promise.resolve(),
+            );
+            dependenciesReady.catch(() => { dependenciesReady = null; });
+        }
+        return dependenciesReady;
+    }
+
+    function cssLength(value, fallback) {
+        if (!value) return fallback;
+        return /^\d+(\.\d+)?$/.test(value.trim()) ? `${value.trim()}px` : value;
+    }
+
+    // A constructed stylesheet is not inline CSS, so it works under a host
+    // page's strict style-src; browsers without one get a <style> element.
+    function adoptStyles(root) {
+        if (!('adoptedStyleSheets' in root)) return `<style>${STYLES}</style>`;
+        if (!sheet) {
+            sheet = new CSSStyleSheet();
+            sheet.replaceSync(STYLES);
+        }
+        root.adoptedStyleSheets = [sheet];
+        return '';
+    }
+
+    const STYLES = `
+        :host {
+            display: block;
+            --wf-bg:     #1e2537;
+            --wf-border: #2d3748;
+            --wf-text:   #e2e8f0;
+            --wf-muted:  #94a3b8;
+            --wf-link:   #f97316;
+            font-family: system-ui, -apple-system, 'Segoe UI', sans-serif;
+        }
+        :host([theme="print"]) {
+            --wf-bg:     #ffffff;
+            --wf-border: #cbd5e1;
+            --wf-text:   #0f172a;
+            --wf-muted:  #475569;
+            --wf-link:   #1d4ed8;
+        }
+        :host([theme="contrast"]) {
+            --wf-bg:     #000000;
+            --wf-border: #e2e8f0;
+            --wf-text:   #ffffff;
+            --wf-muted:  #e2e8f0;
+            --wf-link:   #e69f00;
+        }
+        :host([hidden]) { display: none; }
+        .frame {
+            box-sizing: border-box;
+            display: flex;
+            flex-direction: column;
+            background: var(--wf-bg);
+            border: 1px solid var(--wf-border);
+            border-radius: 9px;
+            color: var(--wf-text);
+            overflow: hidden;
+        }
+        header { padding: 0.6rem 0.875rem 0; }
+        h2 { margin: 0; font-size: 0.9rem; font-weight: 600; }
+        .subtitle { margin: 0.15rem 0 0; font-size: 0.72rem; color: var(--wf-muted); }
+        .canvas-wrapper { position: relative; flex: 1; min-height: 0; padding: 0.5rem; }
+        footer { padding: 0 0.875rem 0.6rem; font-size: 0.68rem; color: var(--wf-muted); }
+        footer a { color: var(--wf-link); }
+        .state { padding: 1rem 0.875rem; font-size: 0.8rem; color: var(--wf-muted); }
+        .state.is-error { color: #f87171; }
+        .visually-hidden {
+            position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0;
+            overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0;
+        }
+        canvas:focus-visible { outline: 2px solid var(--wf-link); outline-offset: 2px; }
+        .chart-data-table { padding: 0 0.875rem 0.4rem; font-size: 0.7rem; }
+        .chart-data-table summary { cursor: pointer; color: var(--wf-muted); }
+        .chart-data-table table { width: 100%; margin-top: 0.35rem; border-collapse: collapse; }
+        .chart-data-table th, .chart-data-table td {
+            padding: 0.2rem 0.4rem; border-bottom: 1px solid var(--wf-border);
+            text-align: left; vertical-align: top;
+        }
+    `;
+
+    class RadarChartElement extends HTMLElement {
+
+        static get observedAttributes() {
+            return ['region', 'uid', 'zone', 'base', 'theme', 'table', 'width', 'height'];
+        }
+
+        constructor() {
+            super();
+            this.chart     = null;
+            this.chartData = null;
+            this.manifest  = null;   // parsed zones.json for a base attribute; null → the page's ZoneManifest
+            this.loadCount = 0;   // drops responses from loads superseded by a later attribute change
+
+            const root = this.attachShadow({ mode: 'open' });
+            root.innerHTML = `
+                ${adoptStyles(root)}
+                <div class="frame" part="frame">
+                    <header part="header">
+                        <h2 part="title"></h2>
+                        <p class="subtitle" part="subtitle"></p>
+                    </header>
+                    <div class="state" role="status">Loading…</div>
+                    <div class="canvas-wrapper"><canvas></canvas></div>
+                    <footer part="footer"></footer>
+                </div>
+            `;
+            this.frame = root.querySelector('.frame');
+        }
+
+        connectedCallback() {
+            this.resize();
+            this.load();
+        }
+
+        disconnectedCallback() {
+            this.chart?.destroy();
+            this.chart = null;
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (oldValue === newValue || !this.isConnected) return;
+            if (name === 'width' || name === 'height') this.resize();
+            else if (name === 'theme' || name === 'table') this.draw();
+            else this.load();
+        }
+
+        resize() {
+            this.frame.style.width  = cssLength(this.getAttribute('width'), '100%');
+            this.frame.style.height = cssLength(this.getAttribute('height'), DEFAULT_HEIGHT);
+        }
+
+        // Resolves null on the site's own pages, which share the page's ZoneManifest.
+        // Otherwise the manifest is parsed for this element only; without a
+        // zones.json it has ZoneManifest's default zones.
+        loadManifest() {
+            const base = this.getAttribute('base');
+            if (!base && typeof DataSource !== 'undefined') return ZoneManifest.load().then(() => null);
+
+            const url = new URL(ZoneManifest.MANIFEST_FILE, new URL(base || DEFAULT_BASE, location.href)).href;
+            if (!manifests.has(url)) {
+                manifests.set(url, fetch(url)
+                    .then(r => r.ok ? r.json() : null)
+                    .catch(() => null)
+                    .then(ZoneManifest.parse));
+            }
+            return manifests.get(url);
+        }
+
+        zoneLabel(zone) {
+            if (!this.manifest) return ZoneManifest.label(zone);
+            return this.manifest.zones.find(entry => entry.id === zone)?.label ?? zone;
+        }
+
+        fetchPayload(region, uid, zone) {
+            const base = this.getAttribute('base');
+            if (!base && typeof ChartData !== 'undefined') return ChartData.loadChart(region, uid, zone);
+
+            const url = new URL(`${region}/${uid}/${zone}.json`, new URL(base || DEFAULT_BASE, location.href));
+            return fetch(url).then(r => {
+                if (!r.ok) throw new Error(`HTTP ${r.status}`);
+                return r.json();
+            });
+        }
+
+        async load() {
+            const region = this.getAttribute('region');
+            const uid    = this.getAttribute('uid');
+            const zone   = this.getAttribute('zone');
+            const load   = ++this.loadCount;
+
+            if (!region || !uid || !zone) {
+                this.fail(new Error('region, uid and zone attributes are required'));
+                return;
+            }
+            if (![region, uid, zone].every(segment => SEGMENT_RE.test(segment))) {
+                this.fail(new Error('region, uid and zone may only contain letters, digits, - and _'));
+                return;
+            }
+
+            this.showState('Loading…');
+            try {
+                await loadDependencies();
+                const [chartData, manifest] = await Promise.all([
+                    this.fetchPayload(region, uid, zone),
+                    this.loadManifest(),
+                ]);
+                if (load !== this.loadCount) return;
+                this.chartData = chartData;
+                this.manifest  = manifest;
+                this.draw();
+            } catch (error) {
+                if (load === this.loadCount) this.fail(error);
+            }
+        }
+
+        draw() {
+            if (!this.chartData) return;
+            const root  = this.shadowRoot;
+            const zone  = this.getAttribute('zone');
+            const theme = this.getAttribute('theme') || ChartRenderer.getPreferredTheme();
+
+            root.querySelector('h2').textContent        = this.chartData.title;
+            root.querySelector('.subtitle').textContent = this.chartData.subtitle;
+            root.querySelector('footer').innerHTML      = ChartRenderer.buildFooterNote(zone, null, this.zoneLabel(zone));
+            this.showState(null);
+
+            this.chart?.destroy();
+            this.chart = ChartRenderer.render(root.querySelector('canvas'), this.chartData, {
+                maintainAspectRatio: false,
+                theme,
+                table: this.hasAttribute('table'),
+            });
+
+            this.dispatchEvent(new CustomEvent('radar-load', {
+                bubbles: true, composed: true, detail: { chartData: this.chartData },
+            }));
+        }
+
+        showState(text, isError = false) {
+            const root  = this.shadowRoot;
+            const state = root.querySelector('.state');
+            state.hidden      = text === null;
+            state.textContent = text ?? '';
+            state.classList.toggle('is-error', isError);
+            root.querySelector('.canvas-wrapper').hidden = text !== null;
+        }
+
+        fail(error) {
+            this.chart?.destroy();
+            this.chart     = null;
+            this.chartData = null;
+            this.shadowRoot.querySelector('h2').textContent        = '';
+            this.shadowRoot.querySelector('.subtitle').textContent = '';
+            this.shadowRoot.querySelector('footer').textContent    = '';
+            this.showState(`Chart unavailable: ${error.message}`, true);
+            this.dispatchEvent(new CustomEvent('radar-error', {
+                bubbles: true, composed: true, detail: { error },
+            }));
+        }
+    }
+
+    if (!customElements.get(TAG)) customElements.define(TAG, RadarChartElement);
+})();
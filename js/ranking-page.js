@@ -0,0 +1,275 @@
+(async () => {
+
+    // ── DOM references ─────────────────────────────────────────────
+    const zoneSelect   = document.getElementById('zone-select');
+    const regionSelect = document.getElementById('region-select');
+    const updateSelect = document.getElementById('update-select');
+    const progressEl   = document.getElementById('ranking-progress');
+    const tableWrapper = document.getElementById('ranking-table-wrapper');
+    const weightsPanel = document.getElementById('weights-panel');
+
+    await ZoneManifest.load();
+    ZoneManifest.list().forEach(({ id, label }) => {
+        zoneSelect.add(new Option(label, id));
+    });
+
+    // ── State ──────────────────────────────────────────────────────
+    let incidentMap = {};
+    const zoneRows  = new Map();   // zone → row objects (loaded once per zone)
+    const zoneLoads = new Map();   // zone → Promise of its rows, shared by overlapping refreshes
+    let sortKey     = 'total';     // 'name' | 'region' | 'age' | 'total' | 'priority' | 'count' | `axis:<label>`
+    let sortDir     = 'desc';
+    let loadToken   = 0;           // discards results from superseded zone loads
+
+    // ── Bootstrap ──────────────────────────────────────────────────
+    try {
+        incidentMap = await ChartData.loadIncidentMap();
+    } catch (err) {
+        tableWrapper.innerHTML = `<div class="state-error">Failed to load incident map: ${SafeHtml.escape(err.message)}</div>`;
+        return;
+    }
+
+    Object.keys(incidentMap).sort().forEach(region => {
+        regionSelect.add(new Option(region, region));
+    });
+
+    ChartData.loadLastUpdated()
+        .then(datetime => {
+            DataFreshness.showStamp(document.getElementById('last-updated'), datetime);
+        })
+        .catch(() => {});
+
+    // ── Hash state ─────────────────────────────────────────────────
+    // ranking.html#zone=3_mile_buffer&region=FAS&updates=stale
+
+    // The 3 mile buffer when the manifest has it, else the first zone.
+    function defaultZone() {
+        return ZoneManifest.has('3_mile_buffer') ? '3_mile_buffer' : ZoneManifest.ids()[0];
+    }
+
+    function readHashState() {
+        const params = new URLSearchParams(location.hash.substring(1));
+        const zone   = params.get('zone');
+        const region = params.get('region');
+        const updates = params.get('updates');
+        return {
+            zone:    ZoneManifest.has(zone) ? zone : defaultZone(),
+            region:  incidentMap[region] ? region : '',
+            updates: [...updateSelect.options].some(option => option.value === updates) ? updates : '',
+        };
+    }
+
+    function writeHashState() {
+        const parts = [`zone=${zoneSelect.value}`];
+        if (regionSelect.value) parts.push(`region=${encodeURIComponent(regionSelect.value)}`);
+        if (updateSelect.value) parts.push(`updates=${updateSelect.value}`);
+        history.replaceState(null, '', `#${parts.join('&')}`);
+    }
+
+    // ── Data ───────────────────────────────────────────────────────
+
+    // One row per incident; failed loads are kept so they can be listed as errors.
+    function buildRow({ incident, chartData, error }) {
+        if (error) return { ...incident, error };
+        const scores = chartData.data;
+        const values = Object.values(scores).filter(v => v !== null);
+        return {
+            ...incident,
+            title:    chartData.title,
+            subtitle: chartData.subtitle,
+            scores,
+            raw:   chartData.raw || {},
+            total: values.reduce((sum, v) => sum + v, 0),
+            count: values.length,
+        };
+    }
+
+    // Loads each zone once; a refresh during a load waits on the same fetches.
+    // Progress is only shown while the zone is still the one selected.
+    function loadZone(zone) {
+        if (!zoneLoads.has(zone)) {
+            const incidents = ChartData.listIncidents(incidentMap);
+            zoneLoads.set(zone, ChartData.loadZoneForIncidents(incidents, zone, {
+                onProgress: (done, total) => {
+                    if (zoneSelect.value === zone) progressEl.textContent = `Loading ${done} / ${total}…`;
+                },
+            }).then(results => {
+                // Incidents without this zone are left out rather than listed as failures.
+                const rows = results.filter(result => !result.absent).map(buildRow);
+                zoneRows.set(zone, rows);
+                return rows;
+            }));
+        }
+        return zoneLoads.get(zone);
+    }
+
+    // ── Filtering and sorting ──────────────────────────────────────
+
+    // Freshness depends on the thresholds and the clock, so it is worked out at render time.
+    function freshnessOf(row) {
+        return row.error ? null : DataFreshness.describe(row);
+    }
+
+    function matchesUpdates(row, updates) {
+        if (!updates) return true;
+        const freshness = freshnessOf(row);
+        if (!freshness) return false;
+        return updates === 'stale' ? freshness.stale : freshness.kind === updates;
+    }
+
+    function sortValue(row, key) {
+        if (key === 'name')   return parseInt(row.name, 10);
+        if (key === 'region') return row.region;
+        if (key === 'age')    return freshnessOf(row).ageMs;
+        if (key === 'total')  return row.total;
+        if (key === 'priority') return PriorityScore.compute({ data: row.scores }).score;
+        if (key === 'count')  return row.count;
+        return row.scores[key.slice('axis:'.length)] ?? null;
+    }
+
+    // Null scores and failed rows always sort to the bottom, regardless of direction.
+    function compareRows(a, b) {
+        if (a.error || b.error) return (a.error ? 1 : 0) - (b.error ? 1 : 0);
+        const va = sortValue(a, sortKey);
+        const vb = sortValue(b, sortKey);
+        if (va === null || vb === null) return (va === null ? 1 : 0) - (vb === null ? 1 : 0);
+        const order = typeof va === 'string' ? va.localeCompare(vb) : va - vb;
+        return sortDir === 'asc' ? order : -order;
+    }
+
+    // ── Rendering ──────────────────────────────────────────────────
+
+    function headerCell(key, label) {
+        const active = sortKey === key;
+        const arrow  = active ? (sortDir === 'asc' ? ' ▲' : ' ▼') : '';
+        const aria   = active ? (sortDir === 'asc' ? 'ascending' : 'descending') : 'none';
+        return `<th aria-sort="${aria}"><button class="sort-btn${active ? ' active' : ''}" data-sort="${SafeHtml.escape(key)}">`
+            + `${SafeHtml.escape(label)}${arrow}</button></th>`;
+    }
+
+    function renderTable(rows) {
+        const zone   = zoneSelect.value;
+        const region = regionSelect.value;
+        const shown  = rows
+            .filter(row => (!region || row.region === region) && matchesUpdates(row, updateSelect.value))
+            .sort(compareRows);
+        const axes   = [...new Set(rows.filter(row => !row.error).flatMap(row => Object.keys(row.scores)))];
+
+        if (shown.length === 0) {
+            tableWrapper.innerHTML = '<div class="state-loading">No incidents for this selection.</div>';
+            return;
+        }
+
+        const bodyRows = shown.map((row, i) => {
+            const chartHref = SafeHtml.escape(`chart.html#${row.region}/${row.uid}/${zone}`);
+            const nameCell  = `<td class="ranking-name"><a href="${chartHref}" target="_blank">${SafeHtml.escape(row.name)}</a></td>`;
+
+            if (row.error) {
+                return `<tr class="ranking-error-row"><td>—</td>${nameCell}<td>${SafeHtml.escape(row.region)}</td>`
+                    + `<td colspan="${axes.length + 4}" class="state-error">Failed to load: ${SafeHtml.escape(row.error.message)}</td></tr>`;
+            }
+
+            const axisCells = axes.map(axis => {
+                const score = row.scores[axis];
+                const raw   = ChartRenderer.describeRaw(row.raw[axis]);
+                return score === null || score === undefined
+                    ? '<td class="ranking-null">—</td>'
+                    : `<td>${score.toFixed(1)}${raw ? `<span class="ranking-raw">${SafeHtml.escape(raw)}</span>` : ''}</td>`;
+            }).join('');
+
+            const priority = PriorityScore.compute({ data: row.scores }).score;
+            const badge    = DataFreshness.buildBadge(freshnessOf(row));
+            return `<tr><td>${i + 1}</td>${nameCell}<td>${SafeHtml.escape(row.region)}</td>`
+                + (badge ? `<td>${badge}</td>` : '<td class="ranking-null">—</td>')
+                + `<td><strong>${row.total.toFixed(1)}</strong></td>`
+                + (priority === null ? '<td class="ranking-null">—</td>' : `<td><strong>${priority.toFixed(1)}</strong></td>`)
+                + `<td>${row.count} / ${axes.length}</td>`
+                + `${axisCells}</tr>`;
+        }).join('');
+
+        tableWrapper.innerHTML = `
+            <table class="ranking-table">
+                <thead>
+                    <tr>
+                        <th>#</th>
+                        ${headerCell('name', 'Incident')}
+                        ${headerCell('region', 'Region')}
+                        ${headerCell('age', 'Updated')}
+                        ${headerCell('total', 'Total')}
+                        ${headerCell('priority', 'Priority')}
+                        ${headerCell('count', 'Axes')}
+                        ${axes.map(axis => headerCell(`axis:${axis}`, axis)).join('')}
+                    </tr>
+                </thead>
+                <tbody>${bodyRows}</tbody>
+            </table>
+        `;
+    }
+
+    async function refresh() {
+        const token = ++loadToken;
+        const zone  = zoneSelect.value;
+        writeHashState();
+
+        if (!zoneRows.has(zone)) {
+            tableWrapper.innerHTML = '<div class="state-loading">Loading incident data…</div>';
+        }
+        const rows = await loadZone(zone);
+        if (token !== loadToken) return;
+
+        const failed = rows.filter(row => row.error).length;
+        progressEl.textContent = `${rows.length - failed} incidents loaded`
+            + (failed ? ` · ${failed} failed` : '');
+        mountWeightsPanel(rows);
+        renderTable(rows);
+    }
+
+    function mountWeightsPanel(rows) {
+        const loaded = rows.find(row => !row.error);
+        if (!weightsPanel.hidden || !loaded) return;
+        PriorityScore.mountPanel(weightsPanel, Object.keys(loaded.scores));
+        weightsPanel.hidden = false;
+    }
+
+    // New weights reorder the table when it is sorted by priority.
+    PriorityScore.subscribe(() => {
+        const rows = zoneRows.get(zoneSelect.value);
+        if (rows) renderTable(rows);
+    });
+
+    // New thresholds change the badges and the "stale only" filter.
+    DataFreshness.mountPanel(document.getElementById('freshness-panel'));
+    DataFreshness.subscribe(() => {
+        const rows = zoneRows.get(zoneSelect.value);
+        if (rows) renderTable(rows);
+    });
+
+    // ── Event listeners ────────────────────────────────────────────
+
+    // Clicking the active column flips direction; a new column starts descending
+    // (highest exposure, or oldest update, first) except for text columns, which start ascending.
+    tableWrapper.addEventListener('click', e => {
+        const btn  = e.target.closest('.sort-btn');
+        const rows = zoneRows.get(zoneSelect.value);
+        if (!btn || !rows) return;
+        const key = btn.dataset.sort;
+        if (key === sortKey) {
+            sortDir = sortDir === 'asc' ? 'desc' : 'asc';
+        } else {
+            sortKey = key;
+            sortDir = key === 'region' ? 'asc' : 'desc';
+        }
+        renderTable(rows);
+    });
+
+    zoneSelect.addEventListener('change', refresh);
+    regionSelect.addEventListener('change', refresh);
+    updateSelect.addEventListener('change', refresh);
+
+    const initial = readHashState();
+    zoneSelect.value   = initial.zone;
+    regionSelect.value = initial.region;
+    updateSelect.value = initial.updates;
+    await refresh();
+
+})();
@@ -0,0 +1,306 @@
+(async () => {
+
+    // ── DOM references ─────────────────────────────────────────────
+    const regionSelect = document.getElementById('region-select');
+    const zoneSelect   = document.getElementById('zone-select');
+    const progressEl   = document.getElementById('summary-progress');
+    const bodyEl       = document.getElementById('summary-body');
+
+    await ZoneManifest.load();
+    const zones = ZoneManifest.ids();
+    ZoneManifest.list().forEach(({ id, label }) => zoneSelect.add(new Option(label, id)));
+
+    // ── State ──────────────────────────────────────────────────────
+    let incidentMap = {};
+    const results   = new Map();   // "region/uid/zone" → { incident, chartData } | { incident, error }
+    const loads     = new Map();   // "region/uid/zone" → Promise that settles once `results` has the key
+    let loadToken   = 0;           // discards renders from superseded selections
+
+    // ── Bootstrap ──────────────────────────────────────────────────
+    try {
+        incidentMap = await ChartData.loadIncidentMap();
+    } catch (err) {
+        bodyEl.innerHTML = `<div class="state-error">Failed to load incident map: ${SafeHtml.escape(err.message)}</div>`;
+        return;
+    }
+
+    Object.keys(incidentMap).sort().forEach(region => {
+        regionSelect.add(new Option(region, region));
+    });
+
+    ChartData.loadLastUpdated()
+        .then(datetime => {
+            DataFreshness.showStamp(document.getElementById('last-updated'), datetime);
+        })
+        .catch(() => {});
+
+    // ── Hash state ─────────────────────────────────────────────────
+    // region.html#region=FAS&zone=3_mile_buffer (no region = statewide)
+
+    // The 3 mile buffer when the manifest has it, else the first zone.
+    function defaultZone() {
+        return ZoneManifest.has('3_mile_buffer') ? '3_mile_buffer' : zones[0];
+    }
+
+    function readHashState() {
+        const params = new URLSearchParams(location.hash.substring(1));
+        const zone   = params.get('zone');
+        const region = params.get('region');
+        return {
+            zone:   ZoneManifest.has(zone) ? zone : defaultZone(),
+            region: Object.hasOwn(incidentMap, region ?? '') ? region : '',
+        };
+    }
+
+    function hashFor(region, zone) {
+        return region ? `#region=${encodeURIComponent(region)}&zone=${zone}` : `#zone=${zone}`;
+    }
+
+    // ── Data ───────────────────────────────────────────────────────
+
+    function resultKey(incident, zone) {
+        return `${incident.region}/${incident.uid}/${zone}`;
+    }
+
+    // Loads every produced zone for the given incidents. Each pair is fetched
+    // once: pairs already loaded or in flight from an earlier call are waited on
+    // rather than queued again. onProgress counts every pair this call waits for.
+    async function loadIncidents(incidents, { onProgress } = {}) {
+        incidents.forEach(incident => zones
+            .filter(zone => !ZoneManifest.isProduced(incident.uid, zone))
+            .forEach(zone => results.set(resultKey(incident, zone), { incident, absent: true })));
+
+        const pending = incidents
+            .flatMap(incident => zones.map(zone => ({ incident, zone, key: resultKey(incident, zone) })))
+            .filter(({ key }) => !results.has(key));
+        if (pending.length === 0) return;
+
+        const fresh = pending.filter(({ key }) => !loads.has(key)).map(pair => {
+            let settle;
+            loads.set(pair.key, new Promise(resolve => { settle = resolve; }));
+            return { ...pair, settle };
+        });
+        ChartData.mapWithConcurrency(fresh, async ({ incident, zone, key, settle }) => {
+            try {
+                results.set(key, { incident, chartData: await ChartData.loadChart(incident.region, incident.uid, zone) });
+            } catch (error) {
+                results.set(key, { incident, error });
+            }
+            settle();
+        });
+
+        let done = 0;
+        await Promise.all(pending.map(({ key }) => loads.get(key)
+            .then(() => onProgress?.(++done, pending.length))));
+    }
+
+    function zoneResults(incidents, zone) {
+        return incidents.map(incident => results.get(resultKey(incident, zone)));
+    }
+
+    // ── Rendering ──────────────────────────────────────────────────
+
+    function chartLink(incident, zone) {
+        const href = SafeHtml.escape(`chart.html#${incident.region}/${incident.uid}/${zone}`);
+        return `<a href="${href}" target="_blank">${SafeHtml.escape(incident.name)}</a>`;
+    }
+
+    // Markup-ready: the metric text comes from the payloads.
+    function formatPart(part, value) {
+        return SafeHtml.escape(ChartRenderer.describeRaw({ value, metric: part.metric }) ?? '—');
+    }
+
+    function percent(part, whole) {
+        return whole > 0 ? `${Math.round(100 * part / whole)}%` : '—';
+    }
+
+    function renderCoverage(incidents) {
+        const rows = zones.map(zone => {
+            const summary = RegionSummary.summarizeZone(zoneResults(incidents, zone));
+            return `
+                <tr>
+                    <th scope="row">${SafeHtml.escape(ZoneManifest.label(zone))}</th>
+                    <td><strong>${summary.withData}</strong> / ${summary.incidents}</td>
+                    <td>${summary.loaded - summary.withData}</td>
+                    <td>${summary.incidents - summary.produced || '—'}</td>
+                    <td>${summary.failed || '—'}</td>
+                    <td>${summary.notAssessed} <span class="summary-muted">(${percent(summary.notAssessed, summary.loaded * summary.axes.length)})</span></td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <section class="summary-section">
+                <h2>Zone coverage</h2>
+                <div class="summary-table-wrapper">
+                    <table class="summary-table">
+                        <thead>
+                            <tr>
+                                <th>Zone</th>
+                                <th>Incidents with data</th>
+                                <th>Nothing assessed</th>
+                                <th>Not produced</th>
+                                <th>Failed to load</th>
+                                <th>Axes not assessed</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </section>
+        `;
+    }
+
+    function renderAxes(incidents, zone) {
+        const summary = RegionSummary.summarizeZone(zoneResults(incidents, zone));
+        if (summary.loaded === 0) {
+            return '<section class="summary-section"><div class="state-error">No payloads loaded for this zone.</div></section>';
+        }
+
+        const rows = summary.axes.map(axis => {
+            const totals = axis.parts.map(part => part.reported ? formatPart(part, part.total) : '—').join('<br>');
+            const maxima = axis.parts.map(part => part.maxIncident
+                ? `<div>${formatPart(part, part.max)}<span class="summary-incident">${SafeHtml.escape(part.maxIncident.name)}</span></div>`
+                : '<div>—</div>').join('');
+            const top = axis.top.length
+                ? `<ol class="summary-top">${axis.top.map(({ incident, score, raw }) => `
+                    <li>${chartLink(incident, zone)} <span class="summary-muted">${score.toFixed(1)}${raw ? ` · ${SafeHtml.escape(ChartRenderer.describeRaw(raw))}` : ''}</span></li>
+                `).join('')}</ol>`
+                : '<span class="summary-muted">—</span>';
+            return `
+                <tr>
+                    <th scope="row">${SafeHtml.escape(axis.axis)}</th>
+                    <td>${totals || '—'}</td>
+                    <td>${maxima || '—'}</td>
+                    <td>${axis.assessed}</td>
+                    <td>${axis.notAssessed}</td>
+                    <td class="summary-top-cell">${top}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <section class="summary-section">
+                <h2>Exposure by axis · ${SafeHtml.escape(ZoneManifest.label(zone))}</h2>
+                <div class="summary-table-wrapper">
+                    <table class="summary-table">
+                        <thead>
+                            <tr>
+                                <th>Axis</th>
+                                <th>Total</th>
+                                <th>Largest</th>
+                                <th>Assessed</th>
+                                <th>Not assessed</th>
+                                <th>Top ${RegionSummary.TOP_COUNT} incidents</th>
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+                <p class="summary-note">
+                    Totals add each incident's raw values; overlapping incidents may count the same
+                    structures or road twice. Top incidents are ranked by axis score.
+                </p>
+            </section>
+        `;
+    }
+
+    // Statewide only: one row per region for the selected zone, plus coverage in every zone.
+    function renderRegions(zone) {
+        const byRegion = Object.keys(incidentMap).sort().map(region => {
+            const incidents = ChartData.listIncidents(incidentMap, region);
+            return {
+                region,
+                incidents,
+                coverage: zones.map(z => RegionSummary.summarizeZone(zoneResults(incidents, z))),
+                summary:  RegionSummary.summarizeZone(zoneResults(incidents, zone)),
+            };
+        });
+        const axes = [...new Set(byRegion.flatMap(({ summary }) => summary.axes.map(axis => axis.axis)))];
+
+        const rows = byRegion.map(({ region, incidents, coverage, summary }) => {
+            const axisCells = axes.map(name => {
+                const axis = summary.axes.find(a => a.axis === name);
+                const text = axis?.parts.filter(part => part.reported).map(part => formatPart(part, part.total)).join('<br>');
+                return text ? `<td>${text}</td>` : '<td class="summary-muted">—</td>';
+            }).join('');
+            return `
+                <tr>
+                    <th scope="row"><a href="${SafeHtml.escape(hashFor(region, zone))}">${SafeHtml.escape(region)}</a></th>
+                    <td>${incidents.length}</td>
+                    ${coverage.map(c => `<td>${c.withData}</td>`).join('')}
+                    <td>${summary.notAssessed} <span class="summary-muted">(${percent(summary.notAssessed, summary.loaded * summary.axes.length)})</span></td>
+                    ${axisCells}
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <section class="summary-section">
+                <h2>Regions side by side · ${SafeHtml.escape(ZoneManifest.label(zone))}</h2>
+                <div class="summary-table-wrapper">
+                    <table class="summary-table">
+                        <thead>
+                            <tr>
+                                <th rowspan="2">Region</th>
+                                <th rowspan="2">Incidents</th>
+                                <th colspan="${zones.length}">With data</th>
+                                <th rowspan="2">Axes not assessed</th>
+                                <th colspan="${axes.length}">Raw totals</th>
+                            </tr>
+                            <tr>
+                                ${zones.map(z => `<th>${SafeHtml.escape(ZoneManifest.label(z))}</th>`).join('')}
+                                ${axes.map(axis => `<th>${SafeHtml.escape(axis)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            </section>
+        `;
+    }
+
+    async function refresh() {
+        const token  = ++loadToken;
+        const region = regionSelect.value;
+        const zone   = zoneSelect.value;
+        history.replaceState(null, '', hashFor(region, zone));
+
+        const incidents = ChartData.listIncidents(incidentMap, region);
+        if (!incidents.every(incident => zones.every(z => results.has(resultKey(incident, z))))) {
+            bodyEl.innerHTML = '<div class="state-loading">Loading incident data…</div>';
+        }
+        await loadIncidents(incidents, {
+            onProgress: (done, total) => {
+                if (token === loadToken) progressEl.textContent = `Loading ${done} / ${total}…`;
+            },
+        });
+        if (token !== loadToken) return;
+
+        document.getElementById('summary-heading').textContent = region ? `${region} region` : 'Statewide';
+        progressEl.textContent = `${incidents.length} incidents`;
+        bodyEl.innerHTML = (region ? '' : renderRegions(zone))
+            + renderCoverage(incidents)
+            + renderAxes(incidents, zone);
+    }
+
+    // ── Event listeners ────────────────────────────────────────────
+
+    regionSelect.addEventListener('change', refresh);
+    zoneSelect.addEventListener('change', refresh);
+
+    // Region links in the statewide table only change the hash.
+    window.addEventListener('hashchange', () => {
+        const state = readHashState();
+        if (state.region === regionSelect.value && state.zone === zoneSelect.value) return;
+        regionSelect.value = state.region;
+        zoneSelect.value   = state.zone;
+        refresh();
+    });
+
+    const initial = readHashState();
+    zoneSelect.value   = initial.zone;
+    regionSelect.value = initial.region;
+    await refresh();
+
+})();
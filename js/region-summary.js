@@ -0,0 +1,91 @@
+/**
+ * RegionSummary - aggregates one zone's payloads across a set of incidents
+ * (a region, or every incident statewide) for region.html.
+ *
+ * Input is the result list from ChartData.loadZoneForIncidents():
+ *   [{ incident: { region, name, uid }, chartData?, error?, absent? }]
+ *
+ * Counting rules
+ * --------------
+ *   - An incident "has data" in a zone when its payload loaded and at least
+ *     one axis is assessed (non-null score). Failed loads, and zones the
+ *     manifest says were not produced for an incident, are counted apart.
+ *   - An axis is "not assessed" for an incident when its score is null.
+ *   - Totals and maxima are over raw values, per sub-metric for composite
+ *     axes (e.g. Critical Infrastructure feet and features), skipping nulls.
+ *     Incidents are added as published, so overlapping incidents can count
+ *     the same structures or road twice.
+ *   - Top incidents per axis are ranked by axis score, which orders the same
+ *     way as the raw value for simple axes and also ranks composites.
+ */
+const RegionSummary = (() => {
+
+    const TOP_COUNT = 3;
+
+    const { isAssessed, rawParts } = ChartRenderer;
+
+    function hasData(chartData) {
+        return Object.values(chartData.data).some(isAssessed);
+    }
+
+    /**
+     * Summarize one zone over a set of incidents.
+     *
+     * @param {{ incident: Object, chartData?: Object, error?: Error, absent?: true }[]} results
+     * @returns {{
+     *   incidents: number, produced: number, loaded: number, failed: number, withData: number, notAssessed: number,
+     *   axes: {
+     *     axis: string, assessed: number, notAssessed: number,
+     *     parts: { metric: string, total: number, max: number|null, maxIncident: Object|null, reported: number }[],
+     *     top: { incident: Object, score: number, raw: * }[],
+     *   }[],
+     * }} notAssessed at the top level counts null axis cells over all loaded incidents
+     */
+    function summarizeZone(results) {
+        const loaded = results.filter(result => result.chartData);
+        const axes   = new Map();   // axis → summary, in first-seen order
+
+        for (const { incident, chartData } of loaded) {
+            for (const [axis, score] of Object.entries(chartData.data)) {
+                if (!axes.has(axis)) axes.set(axis, { axis, assessed: 0, notAssessed: 0, parts: [], ranked: [] });
+                const summary = axes.get(axis);
+
+                if (!isAssessed(score)) {
+                    summary.notAssessed++;
+                    continue;
+                }
+                summary.assessed++;
+                summary.ranked.push({ incident, score, raw: chartData.raw?.[axis] ?? null });
+
+                rawParts(chartData.raw?.[axis]).forEach((part, i) => {
+                    const totals = (summary.parts[i] ||= { metric: '', total: 0, max: null, maxIncident: null, reported: 0 });
+                    totals.metric ||= part?.metric || '';
+                    if (!Number.isFinite(part?.value)) return;
+                    totals.total += part.value;
+                    totals.reported++;
+                    if (totals.max === null || part.value > totals.max) {
+                        totals.max         = part.value;
+                        totals.maxIncident = incident;
+                    }
+                });
+            }
+        }
+
+        const axisSummaries = [...axes.values()].map(({ ranked, ...summary }) => ({
+            ...summary,
+            top: ranked.sort((a, b) => b.score - a.score).slice(0, TOP_COUNT),
+        }));
+
+        return {
+            incidents:   results.length,
+            produced:    results.filter(result => !result.absent).length,
+            loaded:      loaded.length,
+            failed:      results.filter(result => result.error).length,
+            withData:    loaded.filter(({ chartData }) => hasData(chartData)).length,
+            notAssessed: axisSummaries.reduce((sum, axis) => sum + axis.notAssessed, 0),
+            axes:        axisSummaries,
+        };
+    }
+
+    return { TOP_COUNT, hasData, summarizeZone };
+})();
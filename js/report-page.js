@@ -0,0 +1,154 @@
+(async () => {
+
+    const hash  = location.hash.substring(1);
+    const parts = hash.split('/');
+    const reportEl = document.getElementById('report');
+
+    if (parts.length !== 2) {
+        reportEl.innerHTML =
+            '<div class="state-error">Invalid URL — expected: report.html#&lt;region&gt;/&lt;incident-uid&gt;</div>';
+        return;
+    }
+
+    const [region, uid] = parts;
+
+    // The link is checked against the incident map before any payload is fetched.
+    try {
+        if (!ChartData.findIncident(await ChartData.loadIncidentMap(), region, uid)) {
+            reportEl.innerHTML = '<div class="state-error">This link does not match a published incident. '
+                + 'It may be mistyped, or the incident is no longer listed.</div>';
+            return;
+        }
+    } catch (err) {
+        reportEl.innerHTML = `<div class="state-error">Failed to load incident map: ${SafeHtml.escape(err.message)}</div>`;
+        return;
+    }
+    await ZoneManifest.load();
+    const zones  = ZoneManifest.forIncident(uid);
+    const absent = ZoneManifest.ids().filter(zone => !zones.includes(zone)).map(ZoneManifest.label);
+
+    document.getElementById('back-link').href = `incident.html#${region}/${uid}`;
+    document.getElementById('print-btn').addEventListener('click', () => window.print());
+
+    const [publishedAt, results] = await Promise.all([
+
+        ChartData.loadLastUpdated().catch(() => null),
+
+        Promise.allSettled(zones.map(zone => ChartData.loadChart(region, uid, zone))),
+
+    ]);
+
+    const loaded = results
+        .map((result, i) => ({ result, zone: zones[i] }))
+        .filter(({ result }) => result.status === 'fulfilled')
+        .map(({ result, zone }) => ({ zone, chartData: result.value }));
+
+    if (loaded.length === 0) {
+        reportEl.innerHTML = `<div class="state-error">Failed to load incident data for ${SafeHtml.escape(uid)}.</div>`;
+        return;
+    }
+
+    // ── Header ─────────────────────────────────────────────────────
+
+    const incidentName = ChartRenderer.incidentNameFromTitle(loaded[0].chartData.title);
+    const updated      = ChartRenderer.parseSubtitle(loaded[0].chartData.subtitle);
+    const freshness    = DataFreshness.describe(loaded[0].chartData);
+
+    document.title = `${incidentName} — Briefing Report`;
+    document.getElementById('report-incident').textContent = incidentName;
+    document.getElementById('report-updated-label').textContent = updated.label || 'Updated';
+    document.getElementById('report-updated').textContent = !freshness.updatedAt ? updated.value || '—'
+        : `${updated.value} (${DataFreshness.formatAge(freshness.ageMs)} old`
+            + `${freshness.stale ? `, past the ${freshness.thresholdDays}-day threshold` : ''})`;
+    // The toolbar (and its source label) is not printed, so previews say so in the report itself.
+    document.getElementById('report-published').textContent = DataSource.isPublished()
+        ? publishedAt || '—'
+        : `${publishedAt || '—'} (${DataSource.describe()})`;
+    document.getElementById('report-region').textContent = region;
+
+    // ── Charts: one figure per zone, light print palette ───────────
+
+    const chartsEl = document.getElementById('report-charts');
+
+    results.forEach((result, i) => {
+        const zone   = zones[i];
+        const figure = document.createElement('figure');
+        figure.className = 'report-figure';
+
+        if (result.status === 'rejected') {
+            figure.innerHTML = `
+                <figcaption><strong>${SafeHtml.escape(ZoneManifest.label(zone))}</strong></figcaption>
+                <div class="state-error">Failed to load: ${SafeHtml.escape(result.reason.message)}</div>
+            `;
+            chartsEl.appendChild(figure);
+            return;
+        }
+
+        const chartData = result.value;
+        figure.innerHTML = `
+            <figcaption>
+                <strong>${SafeHtml.escape(ZoneManifest.label(zone))}</strong>
+                <span>${SafeHtml.escape(chartData.subtitle)}</span>
+            </figcaption>
+            <div class="report-canvas-wrapper"><canvas></canvas></div>
+            <p class="report-note">${ChartRenderer.buildFooterNote(zone)}</p>
+        `;
+        chartsEl.appendChild(figure);
+        ChartRenderer.render(figure.querySelector('canvas'), chartData, { maintainAspectRatio: false, theme: 'print', table: false });
+    });
+
+    // ── Raw value table: one row per axis (or composite sub-metric) ─
+
+    const axes = [...new Set(loaded.flatMap(({ chartData }) => Object.keys(chartData.data)))];
+
+    // Composite axes expand to one row per sub-metric so each row has one unit.
+    const rows = axes.flatMap(axis => {
+        const width = Math.max(1, ...loaded.map(({ chartData }) => {
+            const rawEntry = chartData.raw?.[axis];
+            return Array.isArray(rawEntry) ? rawEntry.length : 1;
+        }));
+        return Array.from({ length: width }, (_, index) => ({ axis, index, composite: width > 1 }));
+    });
+
+    function rawPart(chartData, axis, index) {
+        const rawEntry = chartData.raw?.[axis];
+        return Array.isArray(rawEntry) ? rawEntry[index] : rawEntry;
+    }
+
+    function cell(chartData, axis, index) {
+        if (!chartData) return '<td class="report-null">—</td>';
+        const part  = rawPart(chartData, axis, index);
+        const score = chartData.data[axis];
+        const raw   = ChartRenderer.describeRaw(part);
+        const scoreText = index === 0 && score !== null && score !== undefined
+            ? `<span class="report-score">${score.toFixed(1)}</span>`
+            : '';
+        return raw || scoreText
+            ? `<td>${raw ? SafeHtml.escape(raw) : '—'}${scoreText}</td>`
+            : '<td class="report-null">—</td>';
+    }
+
+    const byZone = Object.fromEntries(loaded.map(({ zone, chartData }) => [zone, chartData]));
+
+    document.getElementById('report-table').innerHTML = `
+        <table class="report-table">
+            <thead>
+                <tr>
+                    <th>Axis</th>
+                    ${zones.map(zone => `<th>${SafeHtml.escape(ZoneManifest.label(zone))}</th>`).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${rows.map(({ axis, index, composite }) => `
+                    <tr>
+                        <th scope="row">${SafeHtml.escape(axis)}${composite ? ` <span class="report-part">(${index + 1})</span>` : ''}</th>
+                        ${zones.map(zone => cell(byZone[zone], axis, index)).join('')}
+                    </tr>
+                `).join('')}
+            </tbody>
+        </table>
+        <p class="report-note">Cells show the raw value with the log-normalized score (0–100) beneath it.${absent.length
+            ? ` Not produced for this incident: ${SafeHtml.escape(absent.join(', '))}.` : ''}</p>
+    `;
+
+})();
@@ -0,0 +1,29 @@
+/**
+ * SafeHtml - escaping for text that ends up in innerHTML templates.
+ *
+ * Pages build markup with template literals. Anything that did not come from
+ * this codebase goes through escape() on the way in, whether it lands in
+ * element text or a quoted attribute: payload titles, subtitles, axis labels
+ * and metrics, region and incident names, zone labels from zones.json, error
+ * messages, URL hash values and anything read back from localStorage.
+ *
+ * Pages set no inline event handlers or style attributes and load no inline
+ * scripts, so they run under the Content-Security-Policy in each page's head.
+ *
+ * Like ChartValidator, which builds badge markup with it, this loads as the
+ * SafeHtml global in the browser and through require() in Node.
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) module.exports = factory();
+    else root.SafeHtml = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+
+    const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+    // null and undefined become ''; everything else is stringified first.
+    function escape(value) {
+        return String(value ?? '').replace(/[&<>"']/g, ch => ENTITIES[ch]);
+    }
+
+    return { escape };
+});
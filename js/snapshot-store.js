@@ -0,0 +1,156 @@
+/**
+ * SnapshotStore - remembers the payloads this browser has seen, so a chart can
+ * show what changed between data publishes.
+ *
+ * Storage
+ * -------
+ * One localStorage entry per chart, keyed "snapshot:<region>/<uid>/<zone>":
+ *   {
+ *     current:   { chartData, stamp, seenAt },   // latest payload seen
+ *     previous:  { chartData, stamp, seenAt },   // the payload before it changed (optional)
+ *     changedAt: number                          // ms timestamp of the last change
+ *   }
+ * stamp is the last_updated.json datetime when known. A new snapshot is only
+ * taken when the payload content differs, so reloading the same publish never
+ * discards the prior version.
+ *
+ * Previews
+ * --------
+ * While DataSource is reading anything but the published data, record() stores
+ * nothing. It returns the preview payload as current and, when it differs, the
+ * last published payload seen as previous, so the ghost polygon shows what
+ * the preview would change.
+ *
+ * Visits
+ * ------
+ * beginVisit() returns the time of the previous visit and records this one;
+ * entries with changedAt after that time are "new since my last visit".
+ *
+ * Pruning
+ * -------
+ * prune() drops entries for incidents no longer in the published
+ * incident_map.json, then the least recently changed entries beyond
+ * MAX_ENTRIES, so snapshots cannot fill the storage that workspaces, rules
+ * and presets share.
+ */
+const SnapshotStore = (() => {
+
+    const KEY_PREFIX = 'snapshot:';
+    const VISIT_KEY  = 'snapshot-last-visit';
+    const MAX_ENTRIES = 300;
+
+    function storageKey(region, uid, zone) {
+        return `${KEY_PREFIX}${region}/${uid}/${zone}`;
+    }
+
+    function read(key) {
+        try {
+            return JSON.parse(localStorage.getItem(key));
+        } catch {
+            return null;
+        }
+    }
+
+    // Storage may be full or disabled (private browsing); change tracking is best-effort.
+    function write(key, entry) {
+        try {
+            localStorage.setItem(key, JSON.stringify(entry));
+        } catch (err) {
+            console.warn('Could not save chart snapshot:', err);
+        }
+    }
+
+    /**
+     * Record a payload as seen. Returns the stored entry after the update.
+     *
+     * @param {string} region
+     * @param {string} uid
+     * @param {string} zone
+     * @param {Object} chartData
+     * @param {{ stamp?: string|null }} [options]
+     * @returns {{ current: Object, previous?: Object, changedAt?: number }}
+     */
+    function record(region, uid, zone, chartData, { stamp = null } = {}) {
+        const key      = storageKey(region, uid, zone);
+        const entry    = read(key);
+        const snapshot = { chartData, stamp, seenAt: Date.now() };
+
+        if (!DataSource.isPublished()) {
+            return entry && JSON.stringify(entry.current.chartData) !== JSON.stringify(chartData)
+                ? { current: snapshot, previous: entry.current, changedAt: snapshot.seenAt }
+                : { current: snapshot };
+        }
+
+        if (!entry) {
+            const created = { current: snapshot };
+            write(key, created);
+            return created;
+        }
+
+        if (JSON.stringify(entry.current.chartData) === JSON.stringify(chartData)) {
+            return entry;
+        }
+
+        const updated = { current: snapshot, previous: entry.current, changedAt: snapshot.seenAt };
+        write(key, updated);
+        return updated;
+    }
+
+    function get(region, uid, zone) {
+        return read(storageKey(region, uid, zone));
+    }
+
+    // All stored entries as [{ region, uid, zone, entry }].
+    function list() {
+        const items = [];
+        try {
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key?.startsWith(KEY_PREFIX)) continue;
+                const [region, uid, zone] = key.slice(KEY_PREFIX.length).split('/');
+                const entry = read(key);
+                if (entry) items.push({ region, uid, zone, entry });
+            }
+        } catch {
+            // Blocked storage has no snapshots.
+        }
+        return items;
+    }
+
+    /**
+     * Drop snapshots of incidents missing from the incident map, then the
+     * oldest beyond MAX_ENTRIES. Does nothing while previewing another source,
+     * whose incident map says nothing about the published incidents.
+     *
+     * @param {Object} incidentMap - parsed incident_map.json
+     * @returns {number} entries removed
+     */
+    function prune(incidentMap) {
+        if (!DataSource.isPublished()) return 0;
+
+        const items      = list();
+        const inMap      = item => ChartData.findIncident(incidentMap, item.region, item.uid);
+        const lastChange = ({ entry }) => entry.changedAt ?? entry.current?.seenAt ?? 0;
+        const kept       = items.filter(inMap).sort((a, b) => lastChange(b) - lastChange(a));
+        const removed    = [...items.filter(item => !inMap(item)), ...kept.slice(MAX_ENTRIES)];
+
+        try {
+            removed.forEach(({ region, uid, zone }) => localStorage.removeItem(storageKey(region, uid, zone)));
+        } catch {
+            // Blocked storage has nothing to prune.
+        }
+        return removed.length;
+    }
+
+    function beginVisit() {
+        const last = Number(read(VISIT_KEY)) || 0;
+        try {
+            localStorage.setItem(VISIT_KEY, String(Date.now()));
+        } catch {
+            // Ignored: without storage every visit is a first visit.
+        }
+        return last;
+    }
+
+    return { record, get, list, prune, beginVisit };
+})();
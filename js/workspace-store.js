@@ -0,0 +1,106 @@
+/**
+ * WorkspaceStore - named dashboard layouts saved in localStorage.
+ *
+ * A workspace is the chart browser's state as plain data:
+ *   {
+ *     region:   "FAS" | "",
+ *     scale:    "published" | "log" | "linear",
+ *     baseline: "statewide" | "region" | "dashboard",
+ *     cards: [
+ *       { sources: [{ region, uid, zone }, …], wide, pinned, collapsed },
+ *       …
+ *     ]
+ *   }
+ * Cards are in grid order; a card with several sources is an overlay.
+ *
+ * Workspaces are stored together under one key as { name: workspace } and
+ * export/import in that same shape, so a file written by exportJson() can be
+ * handed to the next shift and loaded with importJson().
+ */
+const WorkspaceStore = (() => {
+
+    const STORAGE_KEY = 'workspaces';
+
+    function readAll() {
+        try {
+            return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+        } catch {
+            return {};
+        }
+    }
+
+    function writeAll(workspaces) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(workspaces));
+        } catch {
+            throw new Error('Workspaces could not be saved: browser storage is full or unavailable');
+        }
+    }
+
+    function isSource(source) {
+        return ['region', 'uid', 'zone'].every(key => typeof source?.[key] === 'string' && source[key]);
+    }
+
+    // Keeps only well-formed cards and known fields; returns null if the value is not a workspace.
+    function sanitize(workspace) {
+        if (typeof workspace !== 'object' || workspace === null || !Array.isArray(workspace.cards)) return null;
+        return {
+            region:   typeof workspace.region === 'string' ? workspace.region : '',
+            scale:    typeof workspace.scale === 'string' ? workspace.scale : 'published',
+            baseline: typeof workspace.baseline === 'string' ? workspace.baseline : 'statewide',
+            cards:    workspace.cards
+                .filter(card => Array.isArray(card?.sources) && card.sources.length > 0 && card.sources.every(isSource))
+                .map(card => ({
+                    sources:   card.sources.map(({ region, uid, zone }) => ({ region, uid, zone })),
+                    wide:      Boolean(card.wide),
+                    pinned:    Boolean(card.pinned),
+                    collapsed: Boolean(card.collapsed),
+                })),
+        };
+    }
+
+    // Workspace names in alphabetical order.
+    function names() {
+        return Object.keys(readAll()).sort((a, b) => a.localeCompare(b));
+    }
+
+    function get(name) {
+        return readAll()[name] ?? null;
+    }
+
+    function save(name, workspace) {
+        const trimmed = String(name ?? '').trim();
+        if (!trimmed) throw new Error('A workspace needs a name');
+        writeAll({ ...readAll(), [trimmed]: sanitize(workspace) });
+        return trimmed;
+    }
+
+    function remove(name) {
+        const workspaces = readAll();
+        delete workspaces[name];
+        writeAll(workspaces);
+    }
+
+    function exportJson(selected = names()) {
+        const workspaces = readAll();
+        return JSON.stringify(
+            Object.fromEntries(selected.filter(name => name in workspaces).map(name => [name, workspaces[name]])),
+            null, 2);
+    }
+
+    // Merges workspaces from JSON text (same-named ones are replaced); returns
+    // the imported names. Throws on malformed input.
+    function importJson(text) {
+        const parsed = JSON.parse(text);
+        if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+            throw new Error('Expected an object of { workspaceName: workspace }');
+        }
+        const imported = Object.fromEntries(Object.entries(parsed)
+            .map(([name, workspace]) => [name.trim(), sanitize(workspace)])
+            .filter(([name, workspace]) => name && workspace));
+        writeAll({ ...readAll(), ...imported });
+        return Object.keys(imported);
+    }
+
+    return { names, get, save, remove, exportJson, importJson };
+})();
@@ -0,0 +1,115 @@
+/**
+ * ZoneManifest - the analysis zones a publish contains, read from zones.json
+ * in the data root instead of being hard-coded in the pages.
+ *
+ * zones.json
+ * ----------
+ *   {
+ *     "zones": [
+ *       { "id": "0_mile_buffer", "label": "Perimeter or Reported Location", "miles": 0 },
+ *       { "id": "1_mile_buffer", "label": "1 Mile Buffer", "miles": 1 },
+ *       …
+ *     ],
+ *     "incidents": {
+ *       "<uid>": ["0_mile_buffer", "1_mile_buffer", …]
+ *     }
+ *   }
+ * Zones are listed in display order (nearest first). "incidents" names the
+ * zones produced for each incident; an incident it does not list is assumed
+ * to have every zone. Without a zones.json (older publishes) the four
+ * standard buffers below are used.
+ *
+ * Accessors are synchronous and answer from the defaults until load() (or
+ * apply()) has run, so pages await load() before building zone controls.
+ * parse() reads a manifest without touching the page's zone set, for callers
+ * (such as the embeddable chart) that keep a manifest of their own.
+ */
+const ZoneManifest = (() => {
+
+    const MANIFEST_FILE = 'zones.json';
+
+    const DEFAULT_ZONES = [
+        { id: '0_mile_buffer', label: 'Perimeter or Reported Location', miles: 0 },
+        { id: '1_mile_buffer', label: '1 Mile Buffer',                  miles: 1 },
+        { id: '3_mile_buffer', label: '3 Mile Buffer',                  miles: 3 },
+        { id: '5_mile_buffer', label: '5 Mile Buffer',                  miles: 5 },
+    ];
+
+    let zones         = DEFAULT_ZONES;
+    let incidentZones = {};     // uid → zone ids produced
+    let loading       = null;
+
+    /**
+     * Read a zones.json object. Malformed entries are dropped; a manifest
+     * without usable zones falls back to the defaults.
+     *
+     * @returns {{ zones: { id: string, label: string, miles: number|null }[], incidentZones: Object }}
+     */
+    function parse(manifest) {
+        const listed = Array.isArray(manifest?.zones)
+            ? manifest.zones
+                .filter(zone => typeof zone?.id === 'string' && zone.id)
+                .map(zone => ({
+                    id:    zone.id,
+                    label: typeof zone.label === 'string' && zone.label ? zone.label : zone.id,
+                    miles: Number.isFinite(zone.miles) ? zone.miles : null,
+                }))
+            : [];
+        const incidents = manifest?.incidents;
+        return {
+            zones:         listed.length > 0 ? listed : DEFAULT_ZONES,
+            incidentZones: typeof incidents === 'object' && incidents !== null
+                ? Object.fromEntries(Object.entries(incidents).filter(([, ids]) => Array.isArray(ids)))
+                : {},
+        };
+    }
+
+    // Replace the page's zone set with a manifest (see parse()).
+    function apply(manifest) {
+        ({ zones, incidentZones } = parse(manifest));
+    }
+
+    // Loads zones.json from the active DataSource once per page.
+    function load() {
+        loading ||= DataSource.fetchJson(MANIFEST_FILE)
+            .then(apply)
+            .catch(err => {
+                if (err.status !== 404) console.warn('Zone manifest unavailable, using default zones:', err);
+                apply(null);
+            });
+        return loading;
+    }
+
+    function list() {
+        return zones;
+    }
+
+    function ids() {
+        return zones.map(zone => zone.id);
+    }
+
+    function has(id) {
+        return zones.some(zone => zone.id === id);
+    }
+
+    function label(id) {
+        return zones.find(zone => zone.id === id)?.label ?? id;
+    }
+
+    // Buffer distance in miles, or null when the manifest does not give one.
+    function miles(id) {
+        return zones.find(zone => zone.id === id)?.miles ?? null;
+    }
+
+    // Zone ids produced for one incident, in display order.
+    function forIncident(uid) {
+        const produced = incidentZones[uid];
+        return produced ? ids().filter(id => produced.includes(id)) : ids();
+    }
+
+    function isProduced(uid, id) {
+        return forIncident(uid).includes(id);
+    }
+
+    return { MANIFEST_FILE, parse, apply, load, list, ids, has, label, miles, forIncident, isProduced };
+})();
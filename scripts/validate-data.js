@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+/**
+ * Validate every zone payload under a data/ tree with the same rules the site
+ * uses (js/chart-validator.js), and check zones.json (see js/zone-manifest.js)
+ * against the files on disk. Intended as a publishing gate.
+ *
+ * Usage: node scripts/validate-data.js [data-dir] [--strict]
+ *   data-dir   defaults to ./data
+ *   --strict   treat warnings as failures
+ *
+ * Exit codes: 0 = clean, 1 = errors (or warnings with --strict), 2 = bad invocation.
+ */
+const fs   = require('fs');
+const path = require('path');
+
+const ChartValidator = require('../js/chart-validator.js');
+
+const args    = process.argv.slice(2);
+const strict  = args.includes('--strict');
+const dataDir = path.resolve(args.find(arg => !arg.startsWith('--')) || 'data');
+
+function readJson(file) {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Yields every <region>/<uid>/<zone>.json listed in incident_map.json, plus any
+// incident directories on disk that the map does not list.
+function* zoneFiles(incidentMap) {
+    const listed = new Set();
+    for (const [region, incidents] of Object.entries(incidentMap)) {
+        for (const uid of Object.values(incidents)) listed.add(path.join(region, uid));
+    }
+
+    const onDisk = fs.readdirSync(dataDir, { withFileTypes: true })
+        .filter(entry => entry.isDirectory())
+        .flatMap(region => fs.readdirSync(path.join(dataDir, region.name), { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(incident => path.join(region.name, incident.name)));
+
+    for (const dir of new Set([...listed, ...onDisk])) {
+        const abs = path.join(dataDir, dir);
+        if (!fs.existsSync(abs)) {
+            yield { dir, missing: true, listed: true };
+            continue;
+        }
+        const files = fs.readdirSync(abs).filter(name => name.endsWith('.json'));
+        for (const name of files) yield { dir, file: path.join(abs, name), listed: listed.has(dir) };
+    }
+}
+
+// Every zone zones.json says was produced must exist; zone files it does not
+// list are reported so the manifest and the tree never drift apart.
+function checkZoneManifest(incidentMap, report) {
+    const manifestFile = path.join(dataDir, 'zones.json');
+    if (!fs.existsSync(manifestFile)) {
+        report('zones.json', 'warning', 'missing; the site falls back to the four standard buffers');
+        return;
+    }
+
+    let manifest;
+    try {
+        manifest = readJson(manifestFile);
+    } catch (err) {
+        report('zones.json', 'error', `invalid JSON: ${err.message}`);
+        return;
+    }
+    const zoneIds = (Array.isArray(manifest.zones) ? manifest.zones : []).map(zone => zone?.id).filter(Boolean);
+    if (zoneIds.length === 0) {
+        report('zones.json', 'error', 'no zones listed');
+        return;
+    }
+
+    for (const [region, incidents] of Object.entries(incidentMap)) {
+        for (const uid of Object.values(incidents)) {
+            const dir      = path.join(region, uid);
+            const produced = manifest.incidents?.[uid] ?? zoneIds;
+            if (!fs.existsSync(path.join(dataDir, dir))) continue;   // already reported
+
+            for (const zone of produced) {
+                if (!zoneIds.includes(zone)) report(`zones.json [${uid}]`, 'error', `unknown zone "${zone}"`);
+                else if (!fs.existsSync(path.join(dataDir, dir, `${zone}.json`))) {
+                    report(path.join(dir, `${zone}.json`), 'error', 'listed in zones.json but missing');
+                }
+            }
+            for (const name of fs.readdirSync(path.join(dataDir, dir)).filter(n => n.endsWith('.json'))) {
+                if (!produced.includes(path.basename(name, '.json'))) {
+                    report(path.join(dir, name), 'warning', 'zone not listed for this incident in zones.json');
+                }
+            }
+        }
+    }
+}
+
+function main() {
+    const mapFile = path.join(dataDir, 'incident_map.json');
+    if (!fs.existsSync(mapFile)) {
+        console.error(`No incident_map.json in ${dataDir}`);
+        process.exit(2);
+    }
+
+    let errors   = 0;
+    let warnings = 0;
+    let checked  = 0;
+
+    const report = (where, level, message) => {
+        if (level === 'error') errors++;
+        else                   warnings++;
+        console.log(`${level.toUpperCase().padEnd(7)} ${where}: ${message}`);
+    };
+
+    for (const entry of zoneFiles(readJson(mapFile))) {
+        if (entry.missing) {
+            report(entry.dir, 'error', 'listed in incident_map.json but directory is missing');
+            continue;
+        }
+        const rel = path.relative(dataDir, entry.file);
+        if (!entry.listed) report(rel, 'warning', 'incident directory is not listed in incident_map.json');
+
+        let payload;
+        try {
+            payload = readJson(entry.file);
+        } catch (err) {
+            report(rel, 'error', `invalid JSON: ${err.message}`);
+            continue;
+        }
+
+        checked++;
+        for (const found of ChartValidator.validate(payload)) {
+            report(rel, found.level, `${found.axis ? `[${found.axis}] ` : ''}${found.message}`);
+        }
+    }
+
+    checkZoneManifest(readJson(mapFile), report);
+
+    console.log(`\nChecked ${checked} payloads: ${errors} errors, ${warnings} warnings.`);
+    process.exit(errors > 0 || (strict && warnings > 0) ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,147 @@
+/**
+ * Service worker — offline support for field use.
+ *
+ * Caches
+ * ------
+ *   SHELL_CACHE  HTML, JS, CSS and the vendored Chart.js, precached on install.
+ *                Served cache-first; bump SHELL_VERSION when any of them change.
+ *   DATA_CACHE   Chart payloads and incident_map.json, cached as they are seen
+ *                and served stale-while-revalidate.
+ *
+ * data/last_updated.json is always fetched network-first. When its contents
+ * differ from the copy stored in DATA_CACHE, a new publish has happened and the
+ * rest of DATA_CACHE is dropped so no page mixes old and new payloads.
+ */
+const SHELL_VERSION = 'v17';
+const SHELL_CACHE   = `shell-${SHELL_VERSION}`;
+const DATA_CACHE    = 'data';
+
+const LAST_UPDATED_PATH = 'data/last_updated.json';
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'chart.html',
+    'incident.html',
+    'ranking.html',
+    'region.html',
+    'report.html',
+    'css/styles.css',
+    'css/report.css',
+    'js/vendor/chart.umd.min.js',
+    'js/safe-html.js',
+    'js/chart-renderer.js',
+    'js/data-source.js',
+    'js/zone-manifest.js',
+    'js/chart-data.js',
+    'js/data-freshness.js',
+    'js/chart-scaling.js',
+    'js/chart-validator.js',
+    'js/chart-export.js',
+    'js/axis-drilldown.js',
+    'js/snapshot-store.js',
+    'js/workspace-store.js',
+    'js/incident-picker.js',
+    'js/priority-score.js',
+    'js/alert-rules.js',
+    'js/offline.js',
+    'js/live-refresh.js',
+    'js/radar-chart-element.js',
+    'js/app.js',
+    'js/chart-page.js',
+    'js/incident-page.js',
+    'js/ranking-page.js',
+    'js/region-summary.js',
+    'js/region-page.js',
+    'js/report-page.js',
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const path = url.pathname.slice(new URL(self.registration.scope).pathname.length);
+
+    if (path === LAST_UPDATED_PATH) {
+        event.respondWith(lastUpdated(request));
+    } else if (path.startsWith('data/') && path.endsWith('.json')) {
+        event.respondWith(staleWhileRevalidate(request, event));
+    } else {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+async function cacheFirst(request) {
+    const cached = await caches.match(request, { ignoreSearch: true });
+    return cached || fetch(request);
+}
+
+// Serves the cached payload immediately when there is one and refreshes it in
+// the background; falls through to the network on a cache miss.
+async function staleWhileRevalidate(request, event) {
+    const cache   = await caches.open(DATA_CACHE);
+    const cached  = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        });
+
+    if (cached) {
+        event.waitUntil(network.catch(() => {}));
+        return cached;
+    }
+    return network;
+}
+
+// Network-first. A changed stamp means a new publish, so stale payloads are dropped.
+async function lastUpdated(request) {
+    const cache  = await caches.open(DATA_CACHE);
+    const cached = await cache.match(request);
+
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (err) {
+        if (cached) return cached;
+        throw err;
+    }
+    if (!response.ok) return cached || response;
+
+    const fresh    = await response.clone().text();
+    const previous = cached ? await cached.text() : null;
+
+    if (previous !== null && previous !== fresh) {
+        const keys = await cache.keys();
+        await Promise.all(keys.map(key => cache.delete(key)));
+        notifyClients({ type: 'data-published', lastUpdated: fresh });
+    }
+    await cache.put(request, response.clone());
+    return response;
+}
+
+async function notifyClients(message) {
+    const clients = await self.clients.matchAll({ type: 'window' });
+    clients.forEach(client => client.postMessage(message));
+}